@@ -0,0 +1,57 @@
+/**
+ * backfillListingKeys.js
+ *
+ * Writes listing_keys (see shared/eventListing.js) onto events saved before
+ * the syncListingKeys trigger existed, so city and interest listings find
+ * them. Events that already have the right keys are left alone.
+ *
+ * Usage:
+ *   Report only:   node backfillListingKeys.js --dry-run
+ *   Write:         node backfillListingKeys.js
+ */
+
+const admin = require('firebase-admin');
+const { LISTING_KEYS_FIELD, listingKeys } = require('./shared/eventListing');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const PAGE_SIZE = 500;
+
+async function backfillListingKeys(dryRun = false) {
+  console.log(`\n🏙️  LISTING KEYS BACKFILL${dryRun ? ' (dry run)' : ''}`);
+
+  let last = null;
+  let scanned = 0;
+  let updated = 0;
+  for (;;) {
+    let query = db.collection('events').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+    const page = await query.get();
+    if (page.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    for (const doc of page.docs) {
+      const keys = listingKeys(doc.data());
+      const had  = doc.get(LISTING_KEYS_FIELD);
+      if (Array.isArray(had) && had.join('\n') === keys.join('\n')) continue;
+      batch.update(doc.ref, { [LISTING_KEYS_FIELD]: keys });
+      writes++;
+    }
+    if (writes && !dryRun) await batch.commit();
+
+    scanned += page.size;
+    updated += writes;
+    last = page.docs[page.docs.length - 1];
+    console.log(`   ${scanned} events scanned, ${updated} ${dryRun ? 'need' : 'given'} listing_keys`);
+  }
+
+  console.log(`✅ Done: ${updated} of ${scanned} events ${dryRun ? 'would be' : 'were'} updated`);
+  process.exit(0);
+}
+
+backfillListingKeys(process.argv.includes('--dry-run')).catch(err => {
+  console.error('❌ Backfill failed:', err);
+  process.exit(1);
+});
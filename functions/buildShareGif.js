@@ -1,6 +1,5 @@
 const functions  = require('firebase-functions/v2/https');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-const { spawn }  = require('child_process');
+const { runFfmpeg } = require('./shared/ffmpeg');
 const { tmpdir } = require('os');
 const { join }   = require('path');
 const admin      = require('firebase-admin');
@@ -25,17 +24,14 @@ exports.buildShareGif = functions.onCall(
       bucket.file('overlays/logo.png').download({ destination: pngSrc })
     ]);
 
-    await new Promise((ok, err) =>
-      spawn(ffmpegPath, [
-        '-i', mp4Src, '-i', pngSrc,
-        '-filter_complex',
-        `[1]format=rgba,colorchannelmixer=aa=1[o];` +
-        `[0][o]overlay=W-w-20:H-h-20,split[a][b];` +
-        `[a]palettegen[p];[b][p]paletteuse`,
-        '-gifflags','-transdiff','-y', gifOut
-      ], { stdio:'inherit' })
-      .on('exit', c => c ? err(new Error('ffmpeg '+c)) : ok())
-    );
+    await runFfmpeg([
+      '-i', mp4Src, '-i', pngSrc,
+      '-filter_complex',
+      `[1]format=rgba,colorchannelmixer=aa=1[o];` +
+      `[0][o]overlay=W-w-20:H-h-20,split[a][b];` +
+      `[a]palettegen[p];[b][p]paletteuse`,
+      '-gifflags','-transdiff','-y', gifOut
+    ], { label:'ffmpeg-gif', timeoutMs:480000 });
 
     await bucket.upload(gifOut, {
       destination:`events/${eventId}.gif`,
@@ -17,8 +17,20 @@ async function checkPreviews() {
     console.log(`Has video: ${!!data.event_video}`);
     console.log(`Has preview video: ${!!data.event_preview_vid}`);
     console.log(`Has preview image: ${!!data.event_preview_image}`);
+    console.log(`Preview status: ${data.preview_status || 'unknown'} (attempts: ${data.preview_attempts || 0})`);
     
-    if (data.event_video && (!data.event_preview_vid || !data.event_preview_image)) {
+    if (data.preview_status === 'failed') {
+      const err = data.preview_error || {};
+      console.log(`❌ Preview failed: ${err.class || 'unknown'}${err.code ? `/${err.code}` : ''} – ${err.message || ''}`);
+      if (data.preview_retry_at) {
+        console.log(`   Retry queued for ${data.preview_retry_at.toDate().toISOString()}`);
+      } else {
+        console.log('   No retry queued (see previewDeadLetters)');
+      }
+      if (err.stderr_tail) console.log(`   ffmpeg: ${err.stderr_tail.trim().split('\n').slice(-3).join('\n           ')}`);
+    } else if (data.preview_status === 'processing') {
+      console.log('⏳ Preview is being generated');
+    } else if (data.event_video && (!data.event_preview_vid || !data.event_preview_image)) {
       console.log('⚠️  This event needs preview generation!');
     }
   }
@@ -3,25 +3,71 @@
  *  Node 18  (upgrade to 20 before 2025-10-31)
  *  ─────────────────────────────────────────────────────────────────────
  *  Exports
- *    • processPreviewAssets   Firestore → orange MP4 + JPG previews
+ *    • processPreviewAssets   Firestore → orange MP4 + JPG previews (9:16, 1:1, 16:9)
+ *    • retryPreviewAssets     Task queue → retries of transient preview failures
+ *    • recoverStalePreviews   Every 10 min → fails and requeues renders whose instance died
  *    • buildShareGif          Callable helper (unchanged)
  *    • eventMeta              SSR for /event/<eventID>
+ *    • syncEventIndex         Firestore → eventIndex eventID→docId mapping
+ *    • syncListingKeys        Firestore → listing_keys for city / interest listings
+ *    • userMeta               SSR for /u/<username>
+ *    • videoMeta              SSR for /v/<videoId>
+ *    • sitemap                /sitemap.xml index + monthly event shards
+ *    • listingMeta            SSR for /events, /events/<state>/<city>, /events/<interest>
+ *    • oembed                 oEmbed JSON for event, profile and video share URLs
+ *    • eventEmbed             Iframe-able event card at /embed/event/<eventID>
+ *    • videoEmbed             Iframe-able video player at /embed/video/<videoID> (twitter:player)
+ *    • generateOgCard         Firestore → 1200x630 og:image card per event
+ *    • processUploadedEventVideo  Storage → previews for uploads that land after the event write
+ *    • syncAssetRefs          Firestore → asset_refs, the Storage objects an event points at
+ *    • cleanupEventAssets     Firestore delete → removes the event's previews, GIF and upload
+ *    • sweepEventAssets       Daily → reports / deletes orphaned and superseded assets
  */
 
 const functions     = require('firebase-functions/v1');       // ← only v1 builder
-const { onRequest } = require('firebase-functions/v2/https'); // v2 *only* for HTTPS
+const { onRequest } = require('firebase-functions/v2/https'); // v2 for HTTPS…
+const { onObjectFinalized } = require('firebase-functions/v2/storage'); // …and Storage finalize
 const admin         = require('firebase-admin');
+const { getFunctions } = require('firebase-admin/functions');
 
-const { spawn }   = require('child_process');
 const { join }    = require('path');
 const { tmpdir }  = require('os');
 const fs          = require('fs/promises');
-const url         = require('url');
 const { v4: uuidv4 } = require('uuid');
 const fetch       = (...a) => import('node-fetch').then(({default:f}) => f(...a));
 const nodemailer = require('nodemailer');
 
-const { buildRichMeta } = require('./shared/buildRichMeta');
+const { buildHead, describeEntity, buildNotFoundHead, injectHead } = require('./shared/metaBuilder');
+const { pathKey, canonicalUrl, embedUrl } = require('./shared/requestPath');
+const { getShell, shellCacheControl } = require('./shared/upstreamShell');
+const { publicId, lookupEvent, resolveEvent, syncEventIndex } = require('./shared/eventLookup');
+const { STATUS, eventStatus } = require('./shared/eventStatus');
+const { pickLanguage, eventLanguage, localizedUrl, applyLanguageHeaders, languageCacheControl } = require('./shared/i18n');
+const { sitemapMonths, shardMonth, renderSitemapIndex, eventShard } = require('./shared/sitemap');
+const { LISTING_KEYS_FIELD, parseListingPath, listingPath, listingKeys, findListingEvents } = require('./shared/eventListing');
+const { SITE_URL } = require('./shared/metaSections');
+const { html: escapeHtml, url: safeUrl } = require('./shared/escape');
+const { parseShareUrl, oembedPayload } = require('./shared/oembed');
+const { embedOptions, setEmbedHeaders, renderEventEmbed, renderVideoEmbed, renderEmbedNotFound } = require('./shared/eventEmbed');
+const { OG_CARD_ASSETS, ogCardSource, ogCardArgs } = require('./shared/ogCard');
+const { photoAllowed, downloadPhoto } = require('./shared/photoFetch');
+const { LEGACY_RENDITION, renditionsFor } = require('./shared/previewRenditions');
+const {
+  resolveProfile, previewVideoArgs, previewAudioArgs, previewThumbArgs, describeProfile
+} = require('./shared/previewProfiles');
+const { analysisArgs, parseFrameReport, chooseSegment } = require('./shared/previewSegment');
+const {
+  PREVIEW_STATUS, previewSourceKey, isStaleClaim, skipReason,
+  claimPreview, claimIsCurrent, finishPreview, releasePreview, failPreview
+} = require('./shared/previewState');
+const {
+  ERROR_CLASS, MAX_PREVIEW_ATTEMPTS, PREVIEW_RETRY_QUEUE, DEAD_LETTER_COLLECTION, PREVIEW_ALERT_TYPE,
+  PreviewError, step, failureInfo, retryDelay, retryTaskId, alreadyQueued, needsAttention, deadLetterPreview
+} = require('./shared/previewFailures');
+const { sourceObjectPath, checkSourceObject, probeSource } = require('./shared/previewSource');
+const { runFfmpeg } = require('./shared/ffmpeg');
+const { uploadEventKey, stampUpload } = require('./shared/previewUpload');
+const { ASSET_REFS_FIELD, REPORT_COLLECTION, assetRefs, removeEventAssets, sweepEventAssets } = require('./shared/eventAssets');
 
 /**
  * Send email using SMTP (Gmail App Password or SendGrid)
@@ -100,139 +146,268 @@ const db     = admin.firestore();
 const bucket = admin.storage().bucket();
 
 /* ──────────────────────────────────────────────────────────────
-   1. Firestore trigger → generate orange preview MP4 & JPG
+   1. Firestore trigger → generate orange preview MP4 & JPG renditions
    ────────────────────────────────────────────────────────────── */
-const FFMPEG_GCS   = 'bin/ffmpeg';              // static binary stored in GCS
-const LOCAL_FFMPEG = join(tmpdir(), 'ffmpeg');
-
-async function ensureFfmpeg () {
-  try { await fs.access(LOCAL_FFMPEG); }
-  catch {
-    await bucket.file(FFMPEG_GCS).download({ destination: LOCAL_FFMPEG });
-    await fs.chmod(LOCAL_FFMPEG, 0o755);
+// ffmpeg work per render, leaving processPreviewAssets' 300 s for the
+// download before it and the uploads and final write after it
+const RENDER_BUDGET_MS   = 210 * 1000;
+const ANALYSIS_BUDGET_MS = 45 * 1000;     // optional pass; don't let it starve the encodes
+
+// ffmpeg failures carry their own transient flag and stderr tail into the event.
+// Each run gets whatever is left before the render's deadline.
+function ffmpegStep(args, label, deadline) {
+  const timeoutMs = deadline - Date.now();
+  if (timeoutMs <= 0) {
+    return Promise.reject(new PreviewError(ERROR_CLASS.FFMPEG, `${label}: render deadline passed`, { code: 'deadline', transient: true }));
+  }
+  return step(ERROR_CLASS.FFMPEG, runFfmpeg(args, { label, timeoutMs }));
+}
+
+// Uploads a rendered file with a stable download token; returns its URL
+async function uploadPreviewFile(localPath, dest, contentType) {
+  const token = uuidv4();
+  await bucket.upload(localPath, {
+    destination: dest,
+    metadata: {
+      contentType,
+      cacheControl: 'public,max-age=31536000',
+      metadata    : { firebaseStorageDownloadTokens: token }
+    }
+  });
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/` +
+    `${encodeURIComponent(dest)}?alt=media&token=${token}`;
+}
+
+/**
+ * Render, upload and store the previews for a claimed event. Shared by the
+ * Firestore trigger and the retry queue; failures are recorded, never thrown.
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {Object} claim From claimPreview()
+ */
+async function renderPreview(ref, claim) {
+  const eventId = ref.id;
+  const { data: event, profile } = claim;
+
+  console.log(`[processPreviewAssets] Starting preview generation for event ${eventId} (generation ${claim.generation}, attempt ${claim.attempt})`);
+  console.log(`[processPreviewAssets] Event title: ${event.event_title}`);
+  console.log(`[processPreviewAssets] ${describeProfile(profile).join(' | ')}`);
+
+  // The event id is user data; keep it out of paths that reach a filtergraph
+  const workDir  = join(tmpdir(), `prev-${eventId.replace(/[^\w-]/g, '_')}-${uuidv4()}`);
+  const deadline = Date.now() + RENDER_BUDGET_MS;
+  try {
+    await fs.mkdir(workDir, { recursive: true });
+
+    const mp4In  = join(workDir, 'src.mp4');
+    const logo   = join(workDir, 'logo.png');
+    const objectPath = sourceObjectPath(event.event_video, bucket.name);
+    const { size, generation } = await checkSourceObject(bucket.file(objectPath));
+    claim.sourceGeneration = generation;
+
+    // Pin the generation so a replacement landing mid-download can't mix in
+    await step(ERROR_CLASS.DOWNLOAD, Promise.all([
+      bucket.file(objectPath, generation ? { generation } : {}).download({ destination: mp4In }),
+      bucket.file(profile.logo.path).download({ destination: logo })
+    ]));
+
+    const videoMeta = await probeSource(mp4In, size);
+    console.log(`[processPreviewAssets] Source ${videoMeta.codec} ${videoMeta.display_width}x${videoMeta.display_height} ` +
+      `${videoMeta.duration}s @ ${videoMeta.fps} fps, ${videoMeta.has_audio ? `audio ${videoMeta.audio_codec}` : 'no audio'}`);
+
+    // Pick the window and the thumbnail frame; a failed analysis falls back to the start
+    const report = join(workDir, 'analysis.txt');
+    let frames = [];
+    try {
+      await ffmpegStep(analysisArgs(mp4In, report), 'ffmpeg-analyze', Math.min(deadline, Date.now() + ANALYSIS_BUDGET_MS));
+      frames = parseFrameReport(await fs.readFile(report, 'utf8'));
+    } catch (err) {
+      console.warn(`[processPreviewAssets] Analysis failed for ${eventId}, using the opening seconds:`, err.message);
+    }
+    const segment = chooseSegment(frames, { duration: profile.duration, event, sourceDuration: videoMeta.duration });
+    console.log(`[processPreviewAssets] Segment ${segment.start}s +${segment.duration}s, thumbnail ${segment.thumbnail}s (${segment.source})`);
+
+    const rendered = [];
+    let withAudio = Boolean(profile.audio?.enabled && videoMeta.has_audio);
+    for (const r of renditionsFor(profile.renditions)) {
+      const mp4Out = join(workDir, `${r.name}.mp4`);
+      const jpgOut = join(workDir, `${r.name}.jpg`);
+      const audOut = join(workDir, `${r.name}-audio.mp4`);
+
+      console.log(`[processPreviewAssets] Starting FFmpeg conversion: ${profile.duration}s @ ${r.width}x${r.height} (${r.aspect})`);
+      const startTime = Date.now();
+
+      await ffmpegStep(previewVideoArgs(profile, r, { input: mp4In, logo, output: mp4Out, start: segment.start }), `ffmpeg-mp4 ${r.name}`, deadline);
+
+      console.log(`[processPreviewAssets] ${r.name} completed in ${Date.now() - startTime}ms`);
+
+      // JPG thumbnail from the chosen source frame, same look as the clip
+      await ffmpegStep(previewThumbArgs(profile, r, { input: mp4In, logo, output: jpgOut, at: segment.thumbnail }), `ffmpeg-jpg ${r.name}`, deadline);
+
+      // Copy with sound; an audio track ffmpeg can't decode just leaves it out
+      if (withAudio) {
+        withAudio = await ffmpegStep(previewAudioArgs(profile, { video: mp4Out, input: mp4In, output: audOut, start: segment.start }), `ffmpeg-audio ${r.name}`, deadline)
+          .then(() => true, () => false);
+        if (!withAudio) console.log(`[processPreviewAssets] No usable audio in ${eventId}, keeping silent previews only`);
+      }
+
+      rendered.push({ r, mp4Out, jpgOut, audOut: withAudio ? audOut : null });
+    }
+
+    // Don't overwrite the stored objects if the event moved on while we rendered
+    if (!(await step(ERROR_CLASS.FIRESTORE, claimIsCurrent(ref, claim)))) {
+      console.log(`[processPreviewAssets] Event ${eventId} changed during render, discarding generation ${claim.generation}`);
+      await releasePreview(db, ref, claim);
+      return;
+    }
+
+    const renditions = [];
+    for (const { r, mp4Out, jpgOut, audOut } of rendered) {
+      // The legacy rendition keeps its original object names so old links stay valid
+      const legacy = r.name === LEGACY_RENDITION;
+      const base   = legacy ? `events/${eventId}/output` : `events/${eventId}/preview-${r.name}`;
+      const [videoUrl, imageUrl, audioUrl] = await step(ERROR_CLASS.UPLOAD, Promise.all([
+        uploadPreviewFile(mp4Out, `${base}.mp4`, 'video/mp4'),
+        uploadPreviewFile(jpgOut, legacy ? `events/${eventId}/fallback.jpg` : `${base}.jpg`, 'image/jpeg'),
+        audOut ? uploadPreviewFile(audOut, `${base}-audio.mp4`, 'video/mp4') : null
+      ]));
+
+      renditions.push({
+        name: r.name, aspect: r.aspect, width: r.width, height: r.height,
+        video_url: videoUrl, image_url: imageUrl,
+        ...(audioUrl ? { audio_video_url: audioUrl } : {})
+      });
+    }
+
+    const legacy = renditions.find(r => r.name === LEGACY_RENDITION);
+    const stored = await step(ERROR_CLASS.FIRESTORE, finishPreview(db, ref, claim, {
+      event_preview_vid       : legacy.video_url,
+      event_preview_image     : legacy.image_url,
+      event_preview_vid_audio : legacy.audio_video_url || admin.firestore.FieldValue.delete(),
+      event_preview_renditions: renditions,
+      preview_profile         : profile.name,
+      preview_profile_version : profile.version,
+      preview_segment         : segment,
+      event_video_meta        : videoMeta
+    }));
+    if (!stored) console.log(`[processPreviewAssets] Generation ${claim.generation} for ${eventId} was superseded`);
+  } catch (err) {
+    await handlePreviewFailure(ref, claim, err);
+  } finally {
+    fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Record a failed render on the event, then queue a retry or dead-letter it.
+ */
+async function handlePreviewFailure(ref, claim, err) {
+  const eventId = ref.id;
+  const info    = failureInfo(err);
+  const delay   = retryDelay(info, claim.attempt);
+  console.error(`[processPreviewAssets] Attempt ${claim.attempt}/${MAX_PREVIEW_ATTEMPTS} for ${eventId} failed (${info.class}${info.transient ? ', transient' : ''}):`, err);
+
+  try {
+    let retryAt = null;
+    if (delay !== null) {
+      try {
+        await getFunctions().taskQueue(PREVIEW_RETRY_QUEUE).enqueue(
+          { docId: eventId, key: claim.key },
+          { scheduleDelaySeconds: delay, id: retryTaskId(eventId, claim) }
+        );
+        retryAt = new Date(Date.now() + delay * 1000);
+        console.log(`[processPreviewAssets] Retry ${claim.attempt + 1} for ${eventId} queued in ${delay}s`);
+      } catch (queueErr) {
+        if (alreadyQueued(queueErr)) {
+          // This claim's failure was handled before (a redelivered trigger)
+          retryAt = new Date(Date.now() + delay * 1000);
+          console.log(`[processPreviewAssets] Retry ${claim.attempt + 1} for ${eventId} was already queued`);
+        } else {
+          console.error(`[processPreviewAssets] Could not queue a retry for ${eventId}:`, queueErr);
+        }
+      }
+    }
+
+    const recorded = await failPreview(db, ref, claim, info, retryAt);
+    if (recorded && !retryAt && needsAttention(info)) {
+      await deadLetterPreview(db, eventId, claim.data, claim, info);
+      console.log(`[processPreviewAssets] ${eventId} moved to ${DEAD_LETTER_COLLECTION} after ${claim.attempt} attempt(s)`);
+    }
+  } catch (recordErr) {
+    // The claim goes stale and the next write to the event picks it up again
+    console.error(`[processPreviewAssets] Could not record the failure for ${eventId}:`, recordErr);
   }
 }
-const gcsPath = urlStr =>
-  decodeURIComponent(new url.URL(urlStr).pathname.split('/o/')[1] || '');
 
 exports.processPreviewAssets = functions
   .region('us-central1')
   .runWith({
     memory        : '2GB',
-    timeoutSeconds: 120,     // 2 minutes is plenty for 5s -> 2.5s conversion
+    timeoutSeconds: 300,     // one short encode per rendition
     minInstances  : 1,       // keeps one warm instance
     maxInstances  : 10      // increased from 3 to handle more concurrent requests
   })
   .firestore
   .document('events/{eventId}')
-  .onWrite(async (change, ctx) => {
-    const { eventId } = ctx.params;
+  .onWrite(async (change) => {
     const after = change.after.exists ? change.after.data() : null;
     if (!after?.event_video) return null;
 
+    // Cheap pre-checks on the snapshot; claimPreview re-checks in a transaction
     const before = change.before.exists ? change.before.data() : {};
-    const needsPreview =
-      before.event_video !== after.event_video ||
-      !(after.event_preview_vid && after.event_preview_image);
-    if (!needsPreview) return null;
-
-    console.log(`[processPreviewAssets] Starting preview generation for event ${eventId}`);
-    console.log(`[processPreviewAssets] Event title: ${after.event_title}`);
-
-    await ensureFfmpeg();
+    const legacyReady = !after.preview_status &&
+      after.event_preview_vid && after.event_preview_image &&
+      before.event_video === after.event_video &&
+      before.event_video_generation === after.event_video_generation &&
+      before.preview_start_override === after.preview_start_override &&
+      before.preview_thumb_override === after.preview_thumb_override;
+    if (legacyReady) return null;     // rendered before preview_status existed
+    if (skipReason(after, previewSourceKey(after, resolveProfile(after)))) return null;
 
-    const workDir = join(tmpdir(), `prev-${eventId}-${Date.now()}`);
-    await fs.mkdir(workDir, { recursive: true });
-
-    const mp4In  = join(workDir, 'src.mp4');
-    const logo   = join(workDir, 'logo.png');
-    const mp4Out = join(workDir, 'output.mp4');
-    const jpgOut = join(workDir, 'fallback.jpg');
-    const gcsSrc = gcsPath(after.event_video);
-
-    await Promise.all([
-      bucket.file(gcsSrc).download({ destination: mp4In }),
-      bucket.file('overlays/logo.png').download({ destination: logo })
-    ]);
-
-    /* ── FFmpeg: scale video to cover 360x640 + 10% dark tint + centered logo overlay ── */
-    const filter =
-      `[0]scale=360:640:force_original_aspect_ratio=increase,crop=360:640[vid];` +
-      `[vid]colorchannelmixer=rr=0.9:gg=0.9:bb=0.9[darkened];` +
-      `[1]scale='min(360,iw)':'min(640,ih)'[lg];` +
-      `[darkened][lg]overlay=(W-w)/2:(H-h)/2`;
-
-    // MP4 trailer (≈2.5 s @ 10 fps)
-    console.log(`[processPreviewAssets] Starting FFmpeg conversion: 2.5s @ 360x640 (9:16)`);
-    const startTime = Date.now();
-    
-    await new Promise((ok, bad) =>
-      spawn(LOCAL_FFMPEG, [
-        '-ss', '0',             // start at beginning
-        '-t', '2.5',            // limit input to 2.5 seconds
-        '-i', mp4In,            // input video (only first 2.5s will be read)
-        '-i', logo,             // logo overlay
-        '-t', '2.5',            // also limit output to 2.5 seconds (redundant but safe)
-        '-r', '10',             // 10 fps
-        '-filter_complex', filter,
-        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28',
-        '-pix_fmt', 'yuv420p',
-        '-an',                  // no audio
-        '-y', mp4Out
-      ], { stdio: 'inherit' })
-      .on('exit', code => code ? bad(new Error(`ffmpeg-mp4 exit ${code}`)) : ok())
-    );
-    
-    const processingTime = Date.now() - startTime;
-    console.log(`[processPreviewAssets] FFmpeg completed in ${processingTime}ms`);
-
-    // JPG thumbnail from processed video with logo (quality 4 ≈ 100–150 kB)
-    await new Promise((ok, bad) =>
-      spawn(LOCAL_FFMPEG, [
-        '-i', mp4Out,  // Use processed video with logo
-        '-frames:v', '1', 
-        '-q:v', '4', 
-        '-y', jpgOut
-      ], { stdio: 'inherit' })
-      .on('exit', code => code ? bad(new Error(`ffmpeg-jpg exit ${code}`)) : ok())
-    );
-
-    // Upload to Storage with stable tokens
-    const vidToken = uuidv4();
-    const imgToken = uuidv4();
-    const vidDest  = `events/${eventId}/output.mp4`;
-    const imgDest  = `events/${eventId}/fallback.jpg`;
-
-    await bucket.upload(mp4Out, {
-      destination: vidDest,
-      metadata: {
-        contentType : 'video/mp4',
-        cacheControl: 'public,max-age=31536000',
-        metadata    : { firebaseStorageDownloadTokens: vidToken }
-      }
-    });
-    await bucket.upload(jpgOut, {
-      destination: imgDest,
-      metadata: {
-        contentType : 'image/jpeg',
-        cacheControl: 'public,max-age=31536000',
-        metadata    : { firebaseStorageDownloadTokens: imgToken }
-      }
-    });
+    const claim = await claimPreview(db, change.after.ref, resolveProfile);
+    if (claim) await renderPreview(change.after.ref, claim);
+    return null;
+  });
 
-    const previewVid =
-      `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/` +
-      `${encodeURIComponent(vidDest)}?alt=media&token=${vidToken}`;
-    const previewImg =
-      `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/` +
-      `${encodeURIComponent(imgDest)}?alt=media&token=${imgToken}`;
+// Scheduled retries of transient preview failures (see previewFailures.js)
+exports.retryPreviewAssets = functions
+  .region('us-central1')
+  .runWith({ memory: '2GB', timeoutSeconds: 300 })
+  .tasks.taskQueue({
+    retryConfig: { maxAttempts: 1 },              // attempts are counted on the event
+    rateLimits : { maxConcurrentDispatches: 5 }
+  })
+  .onDispatch(async ({ docId, key }) => {
+    const ref   = db.collection('events').doc(docId);
+    const claim = await claimPreview(db, ref, resolveProfile, { retryKey: key });
+    if (!claim) {
+      console.log(`[retryPreviewAssets] Nothing to retry for ${docId}; source changed or already rendered`);
+      return;
+    }
+    await renderPreview(ref, claim);
+  });
 
-    await change.after.ref.update({
-      event_preview_vid  : previewVid,
-      event_preview_image: previewImg
-    });
+// Renders whose instance crashed or timed out leave a processing claim behind.
+// The next write to the event would take it over, but an event nobody edits
+// would stay processing forever: record those as failed attempts instead, so
+// they are retried (or dead-lettered) like any other failure.
+exports.recoverStalePreviews = functions
+  .region('us-central1')
+  .runWith({ memory: '256MB', timeoutSeconds: 120 })
+  .pubsub
+  .schedule('every 10 minutes')
+  .onRun(async () => {
+    // Only in-flight renders are processing, so this stays small
+    const snap  = await db.collection('events').where('preview_status', '==', PREVIEW_STATUS.PROCESSING).get();
+    const stale = snap.docs.filter(doc => isStaleClaim(doc.data()) && doc.get('preview_claim.id'));
 
-    fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    for (const doc of stale) {
+      const d = doc.data();
+      // The render never said which upload it read; the current one is the best guess
+      const claim = { ...d.preview_claim, data: d, sourceGeneration: d.event_video_generation ?? null };
+      const err   = new PreviewError(ERROR_CLASS.INTERNAL, 'render abandoned: claim went stale', { code: 'stale_claim', transient: true });
+      await handlePreviewFailure(doc.ref, claim, err);
+    }
+    if (stale.length) console.log(`[recoverStalePreviews] Recovered ${stale.length} of ${snap.size} processing claim(s)`);
     return null;
   });
 
@@ -252,15 +427,7 @@ exports.eventMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
     console.log('Request url:', req.url);
     
     // Extract event ID from the path - handle both direct function calls and rewrites
-    let eventKey = '';
-    if (req.path.includes('/event/')) {
-      eventKey = req.path.split('/event/')[1]?.split('/')[0] || '';
-    } else if (req.originalUrl.includes('/event/')) {
-      eventKey = req.originalUrl.split('/event/')[1]?.split('/')[0] || '';
-    } else {
-      // Fallback to original logic
-      eventKey = (req.path.split('/').pop() || '').trim();
-    }
+    const eventKey = pathKey(req, 'event', { lastSegment: true });
     
     console.log('Extracted eventKey:', eventKey);
     
@@ -269,167 +436,168 @@ exports.eventMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
       return res.redirect(302, '/');
     }
 
-    // Look-up by the *eventID* field (not doc ID) with retry logic
-    console.log('Querying for eventID:', eventKey);
-    let q = null;
-    let attempts = 0;
-    const maxAttempts = 3;
-    
-    while (attempts < maxAttempts) {
-      q = await db.collection('events')
-                  .where('eventID', '==', eventKey)
-                  .limit(1)
-                  .get();
-      
-      console.log(`Query attempt ${attempts + 1}: result empty: ${q.empty}`);
-      
-      if (!q.empty) {
-        break; // Found the event, exit retry loop
-      }
-      
-      attempts++;
-      if (attempts < maxAttempts) {
-        console.log(`Event not found on attempt ${attempts}, retrying in 500ms...`);
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
+    // eventID → doc via LRU, eventIndex mapping, doc-ID fast path, then field query
+    console.log('Resolving eventID:', eventKey);
+    const { snap: eventDoc, gone } = await lookupEvent(db, eventKey);
+    const d = eventDoc ? eventDoc.data() : null;
+
+    // One canonical per event, whichever key found it
+    const baseUrl = canonicalUrl('event', eventDoc ? publicId(eventDoc) : eventKey);
+
+    // ?lang= → event's language → Accept-Language
+    const language = pickLanguage(req, eventLanguage(d));
+    const pageUrl  = localizedUrl(baseUrl, language.lang, language.home);
+    applyLanguageHeaders(res, language);
     
-    if (q.empty) {
-      console.log('Event not found after all retries, serving fallback SPA');
-      // Don't redirect - serve the SPA so the frontend can handle the missing event
-      const upstream = await fetch('https://ville.social/index.html');
-      let html = await upstream.text();
+    // Unknown → 404, deleted (tombstoned or soft-deleted) → 410. Both still get
+    // the Flutter shell so the app can render its own not-found screen.
+    if (!d || eventStatus(d) === STATUS.DELETED) {
+      const removed = gone || !!d;
+      console.log(`Event ${removed ? 'deleted' : 'not found'}, serving ${removed ? 410 : 404}`);
+      const shell = await getShell();
+      const html  = injectHead(shell, buildNotFoundHead('event', pageUrl, { gone: removed, lang: language.lang }));
       
-      res.set('Cache-Control', 'no-cache, no-store, must-revalidate'); // Don't cache failed lookups
-      return res.status(200).send(html);
+      res.set('Cache-Control', removed
+        ? languageCacheControl(language, shellCacheControl(shell, 'public,max-age=3600,s-maxage=3600'))
+        : 'no-cache, no-store, must-revalidate'); // Don't cache lookups that may start succeeding
+      return res.status(removed ? 410 : 404).send(html);
     }
 
-    const d       = q.docs[0].data();
-    const pageUrl = `https://ville.social${req.originalUrl}`;  // Fixed URL
-    const head    = buildRichMeta(d, pageUrl);
+    const head = buildHead('event', d, { pageUrl, baseUrl, lang: language.lang, home: language.home });
 
     // Always serve the full Flutter app with injected meta tags
     // Modern crawlers can execute JavaScript and will still see the meta tags
-    console.log('Fetching upstream HTML');
+    console.log('Loading upstream HTML');
     console.log('User agent:', req.headers['user-agent'] || 'Unknown');
     
-    const upstream = await fetch('https://ville.social/index.html');
-    if (!upstream.ok) {
-      console.error('Failed to fetch upstream HTML:', upstream.status, upstream.statusText);
-      // Fallback to basic HTML with meta tags
-      return res.status(200)
-                .send(`<!DOCTYPE html><html><head>${head}</head><body><h1>Loading...</h1><script>window.location.href='/';</script></body></html>`);
-    }
-    
-    let html = await upstream.text();
-    console.log('Upstream HTML length:', html.length);
-    
-    // Remove ALL duplicate meta tags
-    html = html.replace(/<meta name=["']theme-color["'][^>]*>/gi, '');
-    html = html.replace(/<meta property=["']og:[^"']+["'][^>]*>/gi, '');
-    html = html.replace(/<meta name=["']twitter:[^"']+["'][^>]*>/gi, '');
-    html = html.replace(/<meta name=["']description["'][^>]*>/gi, '');
-    html = html.replace(/<meta name=["']keywords["'][^>]*>/gi, '');
-    html = html.replace(/<title>[^<]*<\/title>/i, '');
+    // Cached shell; falls back to a stale copy or a minimal page if the origin is down
+    const shell = await getShell();
+    console.log('Upstream HTML length:', shell.length);
     
-    // Insert our meta tags RIGHT AFTER <head> opening tag (at the very beginning)
-    html = html.replace(/<head[^>]*>/i, (match) => `${match}\n  ${head}\n`);
+    // Replace the shell's meta tags with ours, right after <head>
+    const html = injectHead(shell, head);
 
     console.log('Serving human browser response');
-    res.set('Cache-Control', 'public,max-age=300,s-maxage=300');
+    res.set('Cache-Control', languageCacheControl(language, shellCacheControl(shell, 'public,max-age=300,s-maxage=300')));
     return res.status(200).send(html);
   } catch (err) {
+    // 503 + shell rather than a redirect: crawlers retry later instead of
+    // indexing the homepage under this URL, and people still get the app
     console.error('Error in eventMeta:', err);
-    return res.redirect(302, '/');
+    const html = await getShell();
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Retry-After', '60');
+    return res.status(503).send(html);
   }
 });
 
+/**
+ * Keep eventIndex/<eventID> → { docId } in step with events so eventMeta can
+ * resolve share links with single-doc reads instead of a field query.
+ */
+exports.syncEventIndex = functions
+  .region('us-central1')
+  .firestore
+  .document('events/{eventId}')
+  .onWrite(async (change, ctx) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after  = change.after.exists  ? change.after.data()  : null;
+    try {
+      await syncEventIndex(db, ctx.params.eventId, before, after);
+    } catch (err) {
+      console.error(`eventIndex sync failed for ${ctx.params.eventId}:`, err);
+    }
+    return null;
+  });
+
 /* ─────────────────────────────────────────────────────────────
-   4. userMeta – Handle deep linking for user profiles /u/
+   4. userMeta – SSR for /u/<username> profiles
    ───────────────────────────────────────────────────────────── */
+
+/**
+ * Resolve a username to its user doc. Tries the exact value first, then the
+ * lower-cased form since usernames are stored lower-case but shared as typed.
+ */
+async function findUserByUsername(username) {
+  const candidates = [...new Set([username, username.toLowerCase()])];
+  for (const candidate of candidates) {
+    const q = await db.collection('users')
+                      .where('username', '==', candidate)
+                      .limit(1)
+                      .get();
+    if (!q.empty) return q.docs[0];
+  }
+  return null;
+}
+
+/**
+ * Follower / event counts for a profile. Prefers denormalised counters on the
+ * user doc and falls back to a count() aggregation over events.
+ */
+async function getUserStats(userDoc) {
+  const u = userDoc.data();
+
+  const followers = Number.isFinite(u.followers_count) ? u.followers_count
+                  : Array.isArray(u.followers)         ? u.followers.length
+                  : 0;
+
+  let events = Number.isFinite(u.events_count) ? u.events_count : null;
+  if (events === null) {
+    try {
+      const agg = await db.collection('events')
+                          .where('event_creator', '==', userDoc.ref)
+                          .count()
+                          .get();
+      events = agg.data().count;
+    } catch (err) {
+      console.error('Event count failed for user', userDoc.id, err.message);
+      events = 0;
+    }
+  }
+
+  return { followers, events };
+}
+
 exports.userMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
   try {
-    // Extract username from path
-    let username = '';
-    if (req.path.includes('/u/')) {
-      username = req.path.split('/u/')[1]?.split('/')[0] || '';
-    } else if (req.originalUrl.includes('/u/')) {
-      username = req.originalUrl.split('/u/')[1]?.split('/')[0] || '';
-    }
-    
+    // Handles are shared both with and without the leading @
+    const typed    = pathKey(req, 'u');
+    const username = typed.replace(/^@/, '');
+
     if (!username) {
       return res.redirect(302, '/');
     }
 
-    const pageUrl = `https://ville.social${req.originalUrl}`;
-
-    // Build simple meta tags for user profile with deep linking
-    const head = `
-<!-- Essential Meta Tags -->
-<meta charset="UTF-8">
-<title>${username} - Ville Profile</title>
-<meta name="description" content="View ${username}'s profile on Ville - Find events near you, for you.">
-<meta name="viewport" content="width=device-width, initial-scale=1">
-
-<!-- Open Graph Meta Tags -->
-<meta property="og:title" content="${username} - Ville Profile">
-<meta property="og:description" content="View ${username}'s profile on Ville - Find events near you, for you.">
-<meta property="og:url" content="${pageUrl}">
-<meta property="og:type" content="profile">
-<meta property="og:site_name" content="Ville">
-
-<!-- Deep-link tags -->
-<meta property="al:ios:app_store_id" content="${process.env.VILLE_IOS_APP_ID || '6618138529'}">
-<meta property="al:ios:url" content="ville://u/${username}">
-<meta name="apple-itunes-app" content="app-id=${process.env.VILLE_IOS_APP_ID || '6618138529'}, app-argument=ville://u/${username}">
-<meta property="al:android:package" content="${process.env.VILLE_ANDROID_PKG || 'com.ville.ville'}">
-<meta property="al:android:url" content="ville://u/${username}">
-
-<!-- Deep Link Auto-Redirect Script -->
-<script>
-(function() {
-  var deepLink = 'ville://u/${username}';
-  var isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-  var isAndroid = /Android/.test(navigator.userAgent);
-  
-  if ((isIOS || isAndroid) && deepLink) {
-    var startTime = Date.now();
-    var appOpened = false;
-    
-    var iframe = document.createElement('iframe');
-    iframe.style.display = 'none';
-    iframe.src = deepLink;
-    document.body.appendChild(iframe);
-    
-    setTimeout(function() {
-      window.location.href = deepLink;
-    }, 100);
-    
-    var checkInterval = setInterval(function() {
-      if (document.hidden || document.webkitHidden) {
-        appOpened = true;
-        clearInterval(checkInterval);
-      }
-    }, 200);
-    
-    setTimeout(function() {
-      clearInterval(checkInterval);
-      if (!appOpened && (Date.now() - startTime) < 3000) {
-        if (iframe.parentNode) {
-          iframe.parentNode.removeChild(iframe);
-        }
-      }
-    }, 2500);
-  }
-})();
-</script>`;
+    const [userDoc, shell] = await Promise.all([findUserByUsername(username), getShell()]);
+    const stored = userDoc?.get('username');
 
-    // Always serve full app with meta tags injected
-    const upstream = await fetch('https://ville.social/index.html');
-    let html = await upstream.text();
-    html = html.replace(/<head[^>]*>/i, (match) => `${match}\n  ${head}\n`);
-    
-    res.set('Cache-Control', 'public,max-age=300,s-maxage=300');
+    // /u/@JohnDoe and /u/johndoe are one profile: send other spellings to the stored handle
+    if (stored && stored !== typed) {
+      const query = req.originalUrl?.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      res.set('Cache-Control', 'public,max-age=300,s-maxage=300');
+      return res.redirect(301, canonicalUrl('u', stored) + query);
+    }
+
+    const baseUrl  = canonicalUrl('u', stored || username);
+    const language = pickLanguage(req);
+    const pageUrl  = localizedUrl(baseUrl, language.lang, language.home);
+    applyLanguageHeaders(res, language);
+    let html = shell;
+
+    if (!userDoc) {
+      console.log('User not found:', username);
+      html = injectHead(html, buildNotFoundHead('profile', pageUrl, { lang: language.lang }));
+
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate'); // Don't cache failed lookups
+      return res.status(404).send(html);
+    }
+
+    const stats = await getUserStats(userDoc);
+    const head  = buildHead('user', userDoc.data(), { pageUrl, baseUrl, lang: language.lang, home: language.home, stats });
+
+    html = injectHead(html, head);
+
+    res.set('Cache-Control', languageCacheControl(language, shellCacheControl(shell, 'public,max-age=300,s-maxage=300')));
     return res.status(200).send(html);
   } catch (err) {
     console.error('Error in userMeta:', err);
@@ -438,91 +606,86 @@ exports.userMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
 });
 
 /* ─────────────────────────────────────────────────────────────
-   5. videoMeta – Handle deep linking for videos /v/
+   5. videoMeta – SSR for /v/<videoId>
    ───────────────────────────────────────────────────────────── */
-exports.videoMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
+
+/**
+ * Load a video by doc ID, falling back to the videoID field for links that
+ * were shared before video docs were keyed by their ID.
+ */
+async function findVideo(videoId) {
+  const snap = await db.collection('videos').doc(videoId).get();
+  if (snap.exists) return snap;
+
+  const q = await db.collection('videos')
+                    .where('videoID', '==', videoId)
+                    .limit(1)
+                    .get();
+  return q.empty ? null : q.docs[0];
+}
+
+// Resolve a DocumentReference to plain data; null on miss or non-reference
+async function resolveRef(ref) {
   try {
-    // Extract video ID from path
-    let videoId = '';
-    if (req.path.includes('/v/')) {
-      videoId = req.path.split('/v/')[1]?.split('/')[0] || '';
-    } else if (req.originalUrl.includes('/v/')) {
-      videoId = req.originalUrl.split('/v/')[1]?.split('/')[0] || '';
+    if (!ref) return null;
+    if (typeof ref.get === 'function') {
+      const snap = await ref.get();
+      return snap.exists ? snap.data() : null;
     }
-    
+    return null;
+  } catch (err) {
+    console.error('Failed to resolve reference:', err.message);
+    return null;
+  }
+}
+
+async function findVideoContext(v) {
+  const [creator, eventFromRef] = await Promise.all([
+    resolveRef(v.video_creator),
+    resolveRef(v.event_ref)
+  ]);
+
+  let event = eventFromRef;
+  if (!event && v.eventID) {
+    const snap = await resolveEvent(db, v.eventID);
+    event = snap ? snap.data() : null;
+  }
+  return { creator, event };
+}
+
+exports.videoMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
+  try {
+    const videoId = pathKey(req, 'v');
+
     if (!videoId) {
       return res.redirect(302, '/');
     }
 
-    const pageUrl = `https://ville.social${req.originalUrl}`;
-
-    // Build simple meta tags for video with deep linking
-    const head = `
-<!-- Essential Meta Tags -->
-<meta charset="UTF-8">
-<title>Video - Ville</title>
-<meta name="description" content="Watch this video on Ville - Find events near you, for you.">
-<meta name="viewport" content="width=device-width, initial-scale=1">
-
-<!-- Open Graph Meta Tags -->
-<meta property="og:title" content="Video - Ville">
-<meta property="og:description" content="Watch this video on Ville - Find events near you, for you.">
-<meta property="og:url" content="${pageUrl}">
-<meta property="og:type" content="video.other">
-<meta property="og:site_name" content="Ville">
-
-<!-- Deep-link tags -->
-<meta property="al:ios:app_store_id" content="${process.env.VILLE_IOS_APP_ID || '6618138529'}">
-<meta property="al:ios:url" content="ville://v/${videoId}">
-<meta name="apple-itunes-app" content="app-id=${process.env.VILLE_IOS_APP_ID || '6618138529'}, app-argument=ville://v/${videoId}">
-<meta property="al:android:package" content="${process.env.VILLE_ANDROID_PKG || 'com.ville.ville'}">
-<meta property="al:android:url" content="ville://v/${videoId}">
-
-<!-- Deep Link Auto-Redirect Script -->
-<script>
-(function() {
-  var deepLink = 'ville://v/${videoId}';
-  var isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-  var isAndroid = /Android/.test(navigator.userAgent);
-  
-  if ((isIOS || isAndroid) && deepLink) {
-    var startTime = Date.now();
-    var appOpened = false;
-    
-    var iframe = document.createElement('iframe');
-    iframe.style.display = 'none';
-    iframe.src = deepLink;
-    document.body.appendChild(iframe);
-    
-    setTimeout(function() {
-      window.location.href = deepLink;
-    }, 100);
-    
-    var checkInterval = setInterval(function() {
-      if (document.hidden || document.webkitHidden) {
-        appOpened = true;
-        clearInterval(checkInterval);
-      }
-    }, 200);
-    
-    setTimeout(function() {
-      clearInterval(checkInterval);
-      if (!appOpened && (Date.now() - startTime) < 3000) {
-        if (iframe.parentNode) {
-          iframe.parentNode.removeChild(iframe);
-        }
-      }
-    }, 2500);
-  }
-})();
-</script>`;
+    const baseUrl  = canonicalUrl('v', videoId);
+    const [videoDoc, shell] = await Promise.all([findVideo(videoId), getShell()]);
+    let html = shell;
 
-    // Always serve full app with meta tags injected
-    const upstream = await fetch('https://ville.social/index.html');
-    let html = await upstream.text();
-    html = html.replace(/<head[^>]*>/i, (match) => `${match}\n  ${head}\n`);
-    
-    res.set('Cache-Control', 'public,max-age=300,s-maxage=300');
+    if (!videoDoc) {
+      console.log('Video not found:', videoId);
+      const language = pickLanguage(req);
+      applyLanguageHeaders(res, language);
+      html = injectHead(html, buildNotFoundHead('video', localizedUrl(baseUrl, language.lang, language.home), { lang: language.lang }));
+
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate'); // Don't cache failed lookups
+      return res.status(404).send(html);
+    }
+
+    const v    = videoDoc.data();
+    const ctx  = await findVideoContext(v);
+    // A video shared from an event reads in that event's language
+    const language = pickLanguage(req, v.language || eventLanguage(ctx.event));
+    const pageUrl  = localizedUrl(baseUrl, language.lang, language.home);
+    applyLanguageHeaders(res, language);
+    const head = buildHead('video', v, { pageUrl, baseUrl, lang: language.lang, home: language.home, videoId: videoDoc.id, ...ctx });
+
+    html = injectHead(html, head);
+
+    res.set('Cache-Control', languageCacheControl(language, shellCacheControl(shell, 'public,max-age=300,s-maxage=300')));
     return res.status(200).send(html);
   } catch (err) {
     console.error('Error in videoMeta:', err);
@@ -833,6 +996,49 @@ exports.testEventUrlWithAlert = onRequest({ region: 'us-central1' }, async (req,
 /* ─────────────────────────────────────────────────────────────
    7. Email Alerts for Event Health Issues
    ───────────────────────────────────────────────────────────── */
+/**
+ * Subject + HTML for a preview that ran out of attempts (previewDeadLetters).
+ * Error text comes from ffmpeg / GCS, so it is escaped.
+ */
+function previewAlertEmail(alertData, alertId) {
+  const subject = `🚨 Preview Generation Failed - ${alertData.eventId}`;
+  const body = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #d32f2f;">🚨 Preview Generation Failed</h2>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3>Event Details</h3>
+        <p><strong>Event ID:</strong> ${escapeHtml(alertData.eventId)} (doc ${escapeHtml(alertData.docId)})</p>
+        <p><strong>Event Title:</strong> ${escapeHtml(alertData.eventData?.title || 'Unknown')}</p>
+        <p><strong>Event URL:</strong> <a href="${safeUrl(alertData.eventUrl)}" target="_blank">${escapeHtml(alertData.eventUrl)}</a></p>
+        <p><strong>Error:</strong> ${escapeHtml(alertData.error)}</p>
+        <p><strong>Attempts:</strong> ${escapeHtml(alertData.attempts)}</p>
+        <p><strong>Time:</strong> ${new Date().toISOString()}</p>
+      </div>
+      ${alertData.stderrTail ? `
+      <div style="background-color: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3>FFmpeg output (tail)</h3>
+        <pre style="white-space: pre-wrap; font-size: 11px;">${escapeHtml(alertData.stderrTail)}</pre>
+      </div>` : ''}
+      <div style="background-color: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3>🔧 Troubleshooting Steps</h3>
+        <ol>
+          <li><strong>Check Cloud Functions:</strong> Look at processPreviewAssets / retryPreviewAssets logs for doc ${escapeHtml(alertData.docId)}</li>
+          <li><strong>Check the source:</strong> Make sure event_video still downloads and plays</li>
+          <li><strong>Retry:</strong> Set preview_status to "pending" on the event, or run regenerateAllEventPreviews.js</li>
+          <li><strong>Resolve:</strong> Mark ${DEAD_LETTER_COLLECTION}/${escapeHtml(alertData.deadLetterId)} resolved once fixed</li>
+        </ol>
+      </div>
+
+      <p style="color: #666; font-size: 12px; margin-top: 30px;">
+        This alert was generated automatically by the preview pipeline.<br>
+        Alert ID: ${alertId}
+      </p>
+    </div>
+  `;
+  return { subject, body };
+}
+
 exports.sendEventHealthEmail = functions
   .region('us-central1')
   .firestore
@@ -844,6 +1050,13 @@ exports.sendEventHealthEmail = functions
     console.log(`📧 Sending email alert for event: ${alertData.eventId}`);
     
     try {
+      if (alertData.type === PREVIEW_ALERT_TYPE) {
+        const { subject, body } = previewAlertEmail(alertData, alertId);
+        await sendEmailDirect('danny@ville.social', subject, body);
+        console.log(`✅ Email queued for preview failure alert: ${alertData.eventId}`);
+        return;
+      }
+
       // Create email document for Firebase Extension "Trigger Email"
       // Make sure to install the extension and configure it first
       const emailData = {
@@ -933,3 +1146,389 @@ exports.testEmailAlert = onRequest({ region: 'us-central1' }, async (req, res) =
     });
   }
 });
+
+/* ─────────────────────────────────────────────────────────────
+   8. sitemap – /sitemap.xml and /sitemaps/events-YYYY-MM.xml
+   ───────────────────────────────────────────────────────────── */
+exports.sitemap = onRequest({ region: 'us-central1' }, async (req, res) => {
+  const path = String(req.path || '').split('?')[0];
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+
+  try {
+    if (path === '/sitemap.xml' || path === '/') {
+      res.set('Cache-Control', 'public,max-age=3600,s-maxage=3600');
+      return res.status(200).send(renderSitemapIndex(sitemapMonths()));
+    }
+
+    const key = shardMonth(path.split('/sitemaps/')[1]);
+    if (!key) {
+      res.set('Cache-Control', 'public,max-age=3600,s-maxage=3600');
+      return res.status(404).send('<?xml version="1.0" encoding="UTF-8"?><error>Not found</error>');
+    }
+
+    const xml = await eventShard(db, key);
+    res.set('Cache-Control', 'public,max-age=3600,s-maxage=21600');
+    return res.status(200).send(xml);
+  } catch (err) {
+    console.error('Error in sitemap:', err);
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Retry-After', '300');
+    return res.status(503).send('<?xml version="1.0" encoding="UTF-8"?><error>Unavailable</error>');
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   9. listingMeta – SSR for city / interest landing pages
+   ───────────────────────────────────────────────────────────── */
+exports.listingMeta = onRequest({ region: 'us-central1' }, async (req, res) => {
+  try {
+    const listing = parseListingPath(req);
+
+    if (!listing) {
+      return res.redirect(302, '/events');
+    }
+
+    const baseUrl  = `${SITE_URL}${listingPath(listing)}`;
+    const language = pickLanguage(req);
+    const pageUrl  = localizedUrl(baseUrl, language.lang, language.home);
+    applyLanguageHeaders(res, language);
+
+    const [found, shell] = await Promise.all([findListingEvents(db, listing), getShell()]);
+    const head = buildHead('listing', { listing, ...found }, { pageUrl, baseUrl, lang: language.lang, home: language.home });
+
+    res.set('Cache-Control', languageCacheControl(language, shellCacheControl(shell, 'public,max-age=300,s-maxage=600')));
+    return res.status(200).send(injectHead(shell, head));
+  } catch (err) {
+    console.error('Error in listingMeta:', err);
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Retry-After', '60');
+    return res.status(503).send(await getShell());
+  }
+});
+
+/**
+ * Keep listing_keys (the city / interest slugs listingMeta queries by) in
+ * step with each event. Unchanged keys write nothing, so this doesn't loop.
+ */
+exports.syncListingKeys = functions
+  .region('us-central1')
+  .firestore
+  .document('events/{eventId}')
+  .onWrite(async (change, ctx) => {
+    if (!change.after.exists) return null;
+    const keys = listingKeys(change.after.data());
+    const had  = change.after.get(LISTING_KEYS_FIELD);
+    if (Array.isArray(had) && had.join('\n') === keys.join('\n')) return null;
+    try {
+      await change.after.ref.update({ [LISTING_KEYS_FIELD]: keys });
+    } catch (err) {
+      console.error(`listing_keys sync failed for ${ctx.params.eventId}:`, err);
+    }
+    return null;
+  });
+
+/* ─────────────────────────────────────────────────────────────
+   10. oembed – /oembed?url=<share URL>&format=json
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Load what the meta route for a share URL would render, via the same
+ * lookups. Returns null when the entity doesn't exist (or was deleted);
+ * `key` is the canonical key when it can differ from the one in the URL.
+ */
+async function findOembedEntity({ type, key }) {
+  if (type === 'event') {
+    const { snap } = await lookupEvent(db, key);
+    const d = snap?.data();
+    if (!d || eventStatus(d) === STATUS.DELETED) return null;
+    return { key: publicId(snap), data: d, entityLang: eventLanguage(d), embedUrl: embedUrl('event', publicId(snap)) };
+  }
+  if (type === 'user') {
+    const userDoc = await findUserByUsername(key);
+    return userDoc ? { key: userDoc.get('username'), data: userDoc.data(), ctx: { stats: await getUserStats(userDoc) } } : null;
+  }
+  const videoDoc = await findVideo(key);
+  if (!videoDoc) return null;
+  const v   = videoDoc.data();
+  const ctx = await findVideoContext(v);
+  const authorUrl = ctx.creator?.username ? canonicalUrl('u', ctx.creator.username) : undefined;
+  return { data: v, ctx: { videoId: videoDoc.id, ...ctx }, entityLang: v.language || eventLanguage(ctx.event), authorUrl };
+}
+
+exports.oembed = onRequest({ region: 'us-central1' }, async (req, res) => {
+  // Consumers fetch this server-side, but some (Notion, WordPress editors) do it from the browser
+  res.set('Access-Control-Allow-Origin', '*');
+
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only format=json is supported' });
+    }
+
+    const target = parseShareUrl(req.query.url);
+    if (!target) {
+      return res.status(404).json({ error: 'Not a Ville share URL' });
+    }
+
+    const found = await findOembedEntity(target);
+    if (!found) {
+      res.set('Cache-Control', 'public,max-age=60,s-maxage=60');
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const segment  = { event: 'event', user: 'u', video: 'v' }[target.type];
+    const baseUrl  = canonicalUrl(segment, found.key || target.key);
+    const language = pickLanguage({ query: { lang: target.lang }, headers: req.headers }, found.entityLang);
+    const pageUrl  = localizedUrl(baseUrl, language.lang, language.home);
+    applyLanguageHeaders(res, language);
+
+    const m = describeEntity(target.type, found.data, { pageUrl, baseUrl, lang: language.lang, home: language.home, ...found.ctx });
+    const payload = oembedPayload(target.type, m, {
+      maxwidth : req.query.maxwidth,
+      maxheight: req.query.maxheight,
+      authorUrl: found.authorUrl,
+      embedUrl : found.embedUrl
+    });
+
+    res.set('Cache-Control', languageCacheControl(language, 'public,max-age=3600,s-maxage=3600'));
+    return res.status(200).json(payload);
+  } catch (err) {
+    console.error('Error in oembed:', err);
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    return res.status(503).json({ error: 'Unavailable' });
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   11. eventEmbed – /embed/event/<eventID> iframe card
+   ───────────────────────────────────────────────────────────── */
+exports.eventEmbed = onRequest({ region: 'us-central1' }, async (req, res) => {
+  const { theme, size } = embedOptions(req.query);
+  setEmbedHeaders(res);
+
+  try {
+    const eventKey = pathKey(req, 'event');
+    const { snap, gone } = eventKey ? await lookupEvent(db, eventKey) : { snap: null, gone: false };
+    const d = snap ? snap.data() : null;
+
+    const language = pickLanguage(req, eventLanguage(d));
+    applyLanguageHeaders(res, language);
+
+    const removed = gone || (d && eventStatus(d) === STATUS.DELETED);
+    if (!d || removed) {
+      res.set('Cache-Control', removed ? languageCacheControl(language, 'public,max-age=3600,s-maxage=3600') : 'no-cache, no-store, must-revalidate');
+      return res.status(removed ? 410 : 404).send(renderEmbedNotFound({ lang: language.lang, theme, size, gone: removed }));
+    }
+
+    const pageUrl = localizedUrl(canonicalUrl('event', publicId(snap)), language.lang, language.home);
+    res.set('Cache-Control', languageCacheControl(language, 'public,max-age=300,s-maxage=300'));
+    return res.status(200).send(renderEventEmbed(d, { pageUrl, lang: language.lang, theme, size }));
+  } catch (err) {
+    console.error('Error in eventEmbed:', err);
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Retry-After', '60');
+    return res.status(503).send(renderEmbedNotFound({ theme, size }));
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   12. videoEmbed – /embed/video/<videoID> player (twitter:player)
+   ───────────────────────────────────────────────────────────── */
+exports.videoEmbed = onRequest({ region: 'us-central1' }, async (req, res) => {
+  setEmbedHeaders(res);
+
+  try {
+    const videoId  = pathKey(req, 'video');
+    const videoDoc = videoId ? await findVideo(videoId) : null;
+    const v = videoDoc ? videoDoc.data() : null;
+
+    const language = pickLanguage(req, v?.language);
+    applyLanguageHeaders(res, language);
+
+    if (!v?.video_url) {
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+      return res.status(404).send(renderEmbedNotFound({ lang: language.lang, kind: 'video' }));
+    }
+
+    const pageUrl = localizedUrl(canonicalUrl('v', videoId), language.lang, language.home);
+    res.set('Cache-Control', languageCacheControl(language, 'public,max-age=300,s-maxage=300'));
+    return res.status(200).send(renderVideoEmbed(v, { pageUrl, lang: language.lang, videoId: videoDoc.id }));
+  } catch (err) {
+    console.error('Error in videoEmbed:', err);
+    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.set('Retry-After', '60');
+    return res.status(503).send(renderEmbedNotFound({ kind: 'video' }));
+  }
+});
+
+/* ─────────────────────────────────────────────────────────────
+   13. generateOgCard – Firestore → events/<id>/og-card.jpg
+   ───────────────────────────────────────────────────────────── */
+// A photo that failed to download isn't tried again for this long
+const PHOTO_RETRY_MS = 60 * 60 * 1000;
+
+// Whether to try drawing the event's photo: an allowed host, and not a URL
+// that failed within PHOTO_RETRY_MS (og_card_photo_error)
+function photoWorthTrying(d, photoUrl) {
+  if (!photoAllowed(photoUrl, bucket.name)) return false;
+  const failed = d.og_card_photo_error;
+  if (failed?.url !== photoUrl) return true;
+  return Date.now() - (failed.at?.toMillis?.() || 0) >= PHOTO_RETRY_MS;
+}
+
+exports.generateOgCard = functions
+  .region('us-central1')
+  .runWith({ memory: '1GB', timeoutSeconds: 60, maxInstances: 10 })
+  .firestore
+  .document('events/{eventId}')
+  .onWrite(async (change, ctx) => {
+    const { eventId } = ctx.params;
+    const after = change.after.exists ? change.after.data() : null;
+    if (!after || eventStatus(after) === STATUS.DELETED) return null;
+
+    // Unchanged title / date / venue / price / photo → nothing to redraw
+    let src = ogCardSource(after);
+    if (src.photoUrl && !photoWorthTrying(after, src.photoUrl)) src = ogCardSource(after, { photo: false });
+    if (after.og_card_hash === src.hash) return null;
+
+    const workDir = join(tmpdir(), `og-${eventId.replace(/[^\w-]/g, '_')}-${Date.now()}`);
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      let photoError = null;
+      const paths = {
+        workDir,
+        logo    : join(workDir, 'logo.png'),
+        font    : join(workDir, 'font.ttf'),
+        fontBold: join(workDir, 'font-bold.ttf'),
+        photo   : src.photoUrl ? join(workDir, 'photo') : undefined,
+        out     : join(workDir, 'og-card.jpg')
+      };
+
+      await Promise.all([
+        bucket.file(OG_CARD_ASSETS.logo).download({ destination: paths.logo }),
+        bucket.file(OG_CARD_ASSETS.font).download({ destination: paths.font }),
+        bucket.file(OG_CARD_ASSETS.fontBold).download({ destination: paths.fontBold }),
+        // A broken photo link shouldn't cost the event its card
+        paths.photo && downloadPhoto(src.photoUrl, paths.photo, { bucketName: bucket.name }).catch(err => {
+          console.warn(`[generateOgCard] ${eventId}: photo unavailable, drawing text-only card:`, err.message);
+          photoError = { url: src.photoUrl, at: admin.firestore.FieldValue.serverTimestamp() };
+        })
+      ]);
+
+      // Hash only what is actually drawn, so the photo is tried again later
+      if (photoError) {
+        src = ogCardSource(after, { photo: false });
+        paths.photo = undefined;
+      }
+
+      const args = await ogCardArgs(src, paths);
+      await runFfmpeg(args, { label: 'ffmpeg-og', timeoutMs: 30000 });
+
+      const token = uuidv4();
+      const dest  = `events/${eventId}/og-card.jpg`;
+      await bucket.upload(paths.out, {
+        destination: dest,
+        metadata: {
+          contentType : 'image/jpeg',
+          cacheControl: 'public,max-age=31536000',
+          metadata    : { firebaseStorageDownloadTokens: token }
+        }
+      });
+
+      const cardUrl =
+        `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/` +
+        `${encodeURIComponent(dest)}?alt=media&token=${token}`;
+
+      // The hash makes this write a no-op for the next invocation
+      const update = { og_card_image: cardUrl, og_card_hash: src.hash };
+      if (photoError) update.og_card_photo_error = photoError;
+      else if (src.photoUrl && after.og_card_photo_error) update.og_card_photo_error = admin.firestore.FieldValue.delete();
+      await change.after.ref.update(update);
+      console.log(`[generateOgCard] ${eventId}: card ${src.hash.slice(0, 8)} uploaded`);
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+    return null;
+  });
+
+/* ─────────────────────────────────────────────────────────────
+   14. processUploadedEventVideo – Storage → same preview pipeline
+   ───────────────────────────────────────────────────────────── */
+exports.processUploadedEventVideo = onObjectFinalized({ region: 'us-central1', memory: '256MiB' }, async (event) => {
+  const object = event.data;
+  const key    = uploadEventKey(object);
+  if (!key) return;     // our own renders, GIFs, overlays…
+
+  const { snap } = await lookupEvent(db, key);
+  if (!snap) {
+    // The event write may still be on its way; processPreviewAssets picks it up then
+    console.log(`[processUploadedEventVideo] No event for ${object.name} (key ${key})`);
+    return;
+  }
+
+  const skipped = await stampUpload(db, snap.ref, object);
+  console.log(skipped
+    ? `[processUploadedEventVideo] ${object.name} gen ${object.generation}: ${skipped}`
+    : `[processUploadedEventVideo] ${object.name} gen ${object.generation} stamped on ${snap.id}`);
+});
+
+/* ─────────────────────────────────────────────────────────────
+   15. Event asset cleanup – delete trigger + daily sweeper
+   ───────────────────────────────────────────────────────────── */
+/**
+ * Keep asset_refs (the object names an event's URLs point at) in step, so
+ * cleanup can tell when a copied event still uses another's files.
+ * Unchanged refs write nothing, so this doesn't loop.
+ */
+exports.syncAssetRefs = functions
+  .region('us-central1')
+  .firestore
+  .document('events/{eventId}')
+  .onWrite(async (change, ctx) => {
+    if (!change.after.exists) return null;
+    const refs = assetRefs(change.after.data(), bucket.name);
+    const had  = change.after.get(ASSET_REFS_FIELD);
+    if (Array.isArray(had) && had.join('\n') === refs.join('\n')) return null;
+    try {
+      await change.after.ref.update({ [ASSET_REFS_FIELD]: refs });
+    } catch (err) {
+      console.error(`asset_refs sync failed for ${ctx.params.eventId}:`, err);
+    }
+    return null;
+  });
+
+exports.cleanupEventAssets = functions
+  .region('us-central1')
+  .firestore
+  .document('events/{eventId}')
+  .onDelete(async (snap, ctx) => {
+    const { eventId } = ctx.params;
+    try {
+      const { removed, kept } = await removeEventAssets(db, bucket, eventId, snap.data());
+      console.log(`[cleanupEventAssets] ${eventId}: removed ${removed.length} object(s), kept ${kept.length} in use elsewhere`);
+    } catch (err) {
+      // Whatever is left is an orphan the sweeper picks up
+      console.error(`[cleanupEventAssets] ${eventId}:`, err);
+    }
+    return null;
+  });
+
+// Report mode unless VILLE_ASSET_SWEEP_MODE=delete; see shared/eventAssets.js
+exports.sweepEventAssets = functions
+  .region('us-central1')
+  .runWith({ memory: '512MB', timeoutSeconds: 540 })
+  .pubsub
+  .schedule('every 24 hours')
+  .onRun(async () => {
+    const report = await sweepEventAssets(db, bucket);
+    await db.collection(REPORT_COLLECTION).add({
+      ...report,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const taken = Object.values(report.reasons).reduce((a, b) => a + b, 0);
+    console.log(`[sweepEventAssets] ${report.dryRun ? 'Would delete' : 'Deleted'} ` +
+      `${taken} of ${report.scanned} object(s) ` +
+      `(${Math.round(report.bytes / 1048576)} MB, ${report.inGrace} in grace, ${report.shared} in use elsewhere, ${report.errors} error(s))`);
+    return null;
+  });
@@ -2,28 +2,36 @@
   * Run in Google Cloud shell with: node regenerateAllEventPreviews.js --days 60
  * regenerateAllEventPreviews.js
  * 
- * Standalone script to regenerate event preview videos and images
- * with the new 9:16 format (360x640, 2.5 seconds) with actual video content
+ * Standalone script to regenerate event preview videos and images.
+ * The look comes from the preview profile (shared/previewProfiles.js); by
+ * default only events rendered with an older profile version are redone.
  * 
  * Usage:
  *   Test mode (10 events):      node regenerateAllEventPreviews.js test
  *   Last N days:                node regenerateAllEventPreviews.js --days 10
  *   Test mode with days:        node regenerateAllEventPreviews.js test --days 5
- *   Full mode (all events):     node regenerateAllEventPreviews.js
+ *   Outdated events (default):  node regenerateAllEventPreviews.js
+ *   Every event:                node regenerateAllEventPreviews.js --all
+ *   Switch profile:             node regenerateAllEventPreviews.js --profile default
  */
 
 const admin = require('firebase-admin');
+const {
+  PREVIEW_PROFILES, resolveProfile, isOutdated, describeProfile
+} = require('./shared/previewProfiles');
 
 // Initialize Firebase Admin
 admin.initializeApp();
 const db = admin.firestore();
 
-async function regenerateAllEventPreviews(testMode = false, daysBack = null) {
+async function regenerateAllEventPreviews(testMode = false, daysBack = null, { all = false, profileName = null } = {}) {
+  // --profile stamps that profile onto each event; otherwise each event keeps its own
+  const profileFor = data => resolveProfile(profileName ? { preview_profile: profileName } : data);
+
   console.log('\n🎬 VILLE EVENT PREVIEW REGENERATION');
   console.log('=====================================');
-  console.log('Format: 360x640 (9:16 vertical)');
-  console.log('Duration: 2.5 seconds');
-  console.log('Effect: Video content with 10% dark tint + logo overlay');
+  describeProfile(profileFor({})).forEach(line => console.log(line));
+  console.log(`Selection: ${all ? 'every event with a video' : 'events rendered with an older profile version'}`);
   
   if (daysBack) {
     console.log(`Time Range: Last ${daysBack} days`);
@@ -110,6 +118,7 @@ async function regenerateAllEventPreviews(testMode = false, daysBack = null) {
     let totalProcessed = 0;
     let totalUpdated = 0;
     let skippedCount = 0;
+    let upToDateCount = 0;
     
     for (let i = 0; i < snapshot.docs.length; i += batchSize) {
       const batch = db.batch();
@@ -128,12 +137,21 @@ async function regenerateAllEventPreviews(testMode = false, daysBack = null) {
           skippedCount++;
           return;
         }
+
+        // Already rendered with the current version of its profile
+        if (!all && !isOutdated(data, profileFor(data))) {
+          upToDateCount++;
+          return;
+        }
         
         // Force regeneration for events with videos
         // Clear preview fields and add timestamp to trigger processPreviewAssets
         batch.update(doc.ref, {
           event_preview_vid: admin.firestore.FieldValue.delete(),
           event_preview_image: admin.firestore.FieldValue.delete(),
+          ...(profileName ? { preview_profile: profileName } : {}),
+          // Queue behind any render in flight; a failed source gets another go
+          preview_status: 'pending',
           preview_regenerated_at: admin.firestore.FieldValue.serverTimestamp(),
           // Add a small random value to ensure the document is seen as "changed"
           _preview_force_regen: Math.random()
@@ -168,16 +186,17 @@ async function regenerateAllEventPreviews(testMode = false, daysBack = null) {
     if (skippedCount > 0) {
       console.log(`⏭️  Events skipped (no video): ${skippedCount}`);
     }
+    if (upToDateCount > 0) {
+      console.log(`✔️  Events already on the current profile version: ${upToDateCount}`);
+    }
     console.log('');
     
     if (totalUpdated > 0) {
       console.log('📝 NEXT STEPS:');
       console.log('1. The processPreviewAssets function will automatically');
       console.log('   detect the missing preview fields and regenerate them.');
-      console.log('2. New previews will show actual video content with:');
-      console.log('   - 360x640 resolution (9:16 aspect ratio)');
-      console.log('   - 10% dark tint for better logo visibility');
-      console.log('   - Logo overlay centered on video');
+      console.log('2. New previews will be rendered with:');
+      describeProfile(profileFor({})).forEach(line => console.log(`   - ${line}`));
       console.log('3. Monitor regeneration progress in Firebase Console:');
       console.log('   https://console.firebase.google.com/project/ville-9fe9d/functions/logs\n');
       
@@ -211,6 +230,18 @@ if (daysIndex !== -1 && args[daysIndex + 1]) {
   }
 }
 
+const all = args.includes('--all');
+
+let profileName = null;
+const profileIndex = args.findIndex(arg => arg === '--profile' || arg === '-p');
+if (profileIndex !== -1) {
+  profileName = args[profileIndex + 1];
+  if (!profileName || !Object.hasOwn(PREVIEW_PROFILES, profileName)) {
+    console.error(`❌ Unknown profile. Available: ${Object.keys(PREVIEW_PROFILES).join(', ')}`);
+    process.exit(1);
+  }
+}
+
 // Show help if requested
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -219,6 +250,8 @@ Usage: node regenerateAllEventPreviews.js [options]
 Options:
   test, --test         Run in test mode (process only 10 events)
   --days N, -d N       Regenerate previews for events from last N days
+  --all                Regenerate every event, not only outdated ones
+  --profile NAME, -p   Render with preview profile NAME (${Object.keys(PREVIEW_PROFILES).join(', ')})
   --help, -h           Show this help message
 
 Examples:
@@ -228,13 +261,14 @@ Examples:
   node regenerateAllEventPreviews.js test --days 5      # Test mode for last 5 days
 
 Notes:
-  - New previews will show actual video content (not orange background)
-  - Videos are scaled to cover 360x640 (9:16) with 10% dark tint
-  - Logo overlay is centered on the video
+  - Without --all, only events whose preview_profile_version is older than
+    their profile's current version are regenerated
+  - Profiles (duration, fps, tint, logo, renditions) live in
+    shared/previewProfiles.js; bump a profile's version after changing it
 `);
   process.exit(0);
 }
 
 // Run the regeneration
-regenerateAllEventPreviews(testMode, daysBack);
+regenerateAllEventPreviews(testMode, daysBack, { all, profileName });
 
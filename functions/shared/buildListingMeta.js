@@ -0,0 +1,100 @@
+/* ───────── buildListingMeta.js ───────── */
+const { SITE_URL, DEFAULT_IMAGE, clean, truncate } = require('./metaSections');
+const { eventLifecycle } = require('./eventStatus');
+const { eventTimeZone, isoInZone } = require('./eventTime');
+const { eventRegion } = require('./eventRegion');
+const { canonicalUrl } = require('./requestPath');
+const { DEFAULT_LANG, t } = require('./i18n');
+
+// Event names quoted in the description
+const NAMES_IN_DESC = 5;
+
+// Compact Event for an ItemList entry; the event page carries the full schema
+function listItemEvent(d) {
+  const timeZone = eventTimeZone(d);
+  const url      = canonicalUrl('event', d.eventID);
+  return {
+    "@type"    : "Event",
+    "@id"      : url,
+    url,
+    name       : clean(d.event_title),
+    startDate  : isoInZone(d.start_date, timeZone),
+    endDate    : isoInZone(d.end_date, timeZone) || undefined,
+    eventStatus: eventLifecycle(d).schemaStatus,
+    eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
+    image      : d.event_preview_image || DEFAULT_IMAGE,
+    location   : {
+      "@type": "Place",
+      name   : d.event_venue || '',
+      address: {
+        "@type": "PostalAddress",
+        addressLocality: d.event_city || '',
+        addressRegion  : d.event_state || '',
+        addressCountry : eventRegion(d).country
+      }
+    }
+  };
+}
+
+/**
+ * Maps a listing and its events to a head descriptor (see metaBuilder.js).
+ * @param {Object} data { listing, events, place, interest } from findListingEvents()
+ * @param {Object} ctx  { pageUrl, lang }
+ */
+function describeListing({ listing, events = [], place, interest }, { pageUrl, lang = DEFAULT_LANG }) {
+  const heading = listing.kind === 'city'     ? t(lang, 'listing_city', { place })
+                : listing.kind === 'interest' ? t(lang, 'listing_interest', { interest })
+                : t(lang, 'listing_all');
+  const title   = t(lang, 'listing_title', { heading });
+
+  const names   = events.slice(0, NAMES_IN_DESC).map(d => clean(d.event_title)).filter(Boolean);
+  const descRaw = names.length
+    ? t(lang, 'listing_desc', { heading, names: names.join(', ') })
+    : t(lang, 'listing_empty');
+
+  const imageUrl = events.find(d => d.event_preview_image)?.event_preview_image || DEFAULT_IMAGE;
+
+  /* ---------- Schema.org ItemList of Events (JSON-LD) ---------- */
+  const itemList = {
+    "@context"     : "https://schema.org",
+    "@type"        : "ItemList",
+    "@id"          : `${pageUrl}#events`,
+    name           : heading,
+    url            : pageUrl,
+    numberOfItems  : events.length,
+    itemListElement: events.map((d, i) => ({
+      "@type" : "ListItem",
+      position: i + 1,
+      item    : listItemEvent(d)
+    }))
+  };
+
+  const crumbs = [
+    { name: t(lang, 'home'),   item: SITE_URL },
+    { name: t(lang, 'events'), item: `${SITE_URL}/events` },
+    listing.kind !== 'all' && { name: heading, item: pageUrl }
+  ].filter(Boolean);
+
+  const breadcrumbList = {
+    "@context": "https://schema.org",
+    "@type"   : "BreadcrumbList",
+    itemListElement: crumbs.map((c, i) => ({ "@type": "ListItem", position: i + 1, ...c }))
+  };
+
+  return {
+    title,
+    description: descRaw,
+    summary    : truncate(descRaw),
+    url        : pageUrl,
+    ogType     : 'website',
+    image      : { url: imageUrl, alt: heading },
+    // Empty listings are thin content – keep them out of the index
+    robots     : events.length ? undefined : 'noindex,follow',
+    keywords   : [place, interest].filter(Boolean).join(', '),
+    country    : events[0] ? eventRegion(events[0]).country : undefined,
+    jsonLd     : [itemList, breadcrumbList],
+    preconnect : true
+  };
+}
+
+module.exports = { describeListing };
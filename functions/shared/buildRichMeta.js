@@ -1,42 +1,115 @@
 /* ───────── buildRichMeta.js ───────── */
-const IOS_APP_ID  = process.env.VILLE_IOS_APP_ID  || '6618138529';
-const ANDROID_PKG = process.env.VILLE_ANDROID_PKG || 'com.ville.ville';
-const THEME_COLOR = '#FFAB31';
-const MAX_DESC    = 160;
-const DEFAULT_IMAGE = 'https://ville.social/assets/assets/images/Ville_share-image.jpg';
+const {
+  SITE_URL, DEFAULT_IMAGE, clean, iso, isoDuration, truncate, renderHead
+} = require('./metaSections');
+const { eventLifecycle, statusLabel } = require('./eventStatus');
+const { eventTimeZone, isoInZone, formatEventWhen } = require('./eventTime');
+const { eventRegion, localeFor, formatPriceRange } = require('./eventRegion');
+const { DEFAULT_LANG, t } = require('./i18n');
+const { pickRendition } = require('./previewRenditions');
+const { embedUrl } = require('./requestPath');
 
-const sanitize = s => String(s ?? '').replace(/\s+/g, ' ').replace(/"/g, '&quot;').trim();
-const iso      = ts => ts?.toDate ? ts.toDate().toISOString() : '';
+// How long an ended event may keep showing in search results
+const ENDED_GRACE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const unavailableAfter = d => {
+  const over = (d.end_date || d.start_date)?.toDate?.() || new Date();
+  return new Date(over.getTime() + ENDED_GRACE_MS).toISOString();
+};
+
+// Size of the single preview processPreviewAssets made before renditions
+const LEGACY_PREVIEW = { width: 360, height: 640 };
+// Clip length before preview_segment was recorded
+const LEGACY_PREVIEW_SECONDS = 2.5;
 
 /**
- * Builds the full <head> inner-HTML for an event page.
- * @param {Object} d       Firestore event doc
- * @param {string} pageUrl Canonical URL of this page
+ * Preview clip + still best suited to a platform, with real dimensions.
+ * audioUrl is the with-sound copy when the source had audio, else ''.
+ * Falls back to the legacy single preview; null when there's no preview.
+ * @param {Object} d        Firestore event doc
+ * @param {string} platform 'og' | 'twitter' | 'schema' | 'app'
  */
-function buildRichMeta(d, pageUrl) {
-  const titleRaw = sanitize(d.event_title);
-  const title    = `${titleRaw} - Ville - Find events near you, for you.`;
-  const descRaw  = sanitize(d.event_description);
-  const desc160  = descRaw.length > MAX_DESC ? descRaw.slice(0, MAX_DESC - 1) + '…' : descRaw;
-  
+function eventPreview(d, platform) {
+  const r = pickRendition(d.event_preview_renditions, platform);
+  if (r) {
+    return {
+      videoUrl: r.video_url || '', imageUrl: r.image_url || '', audioUrl: r.audio_video_url || '',
+      width: r.width, height: r.height
+    };
+  }
+  if (!d.event_preview_vid && !d.event_preview_image) return null;
+  return {
+    videoUrl: d.event_preview_vid || '', imageUrl: d.event_preview_image || '', audioUrl: d.event_preview_vid_audio || '',
+    ...LEGACY_PREVIEW
+  };
+}
+
+/** App deep link for an event. */
+const eventDeepLink = d => `ville://event/${encodeURIComponent(d.eventID || '')}`;
+
+/**
+ * The display facts every event surface shows (share head, embed card):
+ * status, local date line, price and media, formatted for `lang`.
+ * @param {Object} d    Firestore event doc
+ * @param {string} lang Output language
+ */
+function eventFacts(d, lang = DEFAULT_LANG) {
+  const titleRaw = clean(d.event_title);
+  const life     = eventLifecycle(d);
+  const flagged  = !!statusLabel(life.status);  // cancelled / postponed / rescheduled
+  const label    = flagged ? t(lang, `status_${life.status}`) : '';
+  const descRaw  = (flagged ? `${t(lang, `notice_${life.status}`)} ` : '') + clean(d.event_description);
+
+  // Country / currency / locale come from the event, defaulting to the US;
+  // numbers and dates use the event's locale, or the output language in its country
+  const region    = eventRegion(d);
+  const fmtLocale = localeFor(region, lang);
+
+  // Dates are rendered in the event's local zone, not UTC
+  const timeZone  = eventTimeZone(d);
+  const whenLine  = formatEventWhen(d.start_date, d.end_date, timeZone, fmtLocale);
+
+  // Determine if free
+  const isFree    = !d.feeMin || d.feeMin === 0;
+  const priceText = formatPriceRange(d.feeMin || 0, d.feeMax, { ...region, locale: fmtLocale });
+
+  return {
+    titleRaw, life, flagged, label, descRaw,
+    region, fmtLocale, timeZone, whenLine,
+    isFree, priceText,
+    venue   : clean(d.event_venue),
+    // Use fallback image if none exists
+    imageUrl: d.event_preview_image || DEFAULT_IMAGE,
+    videoUrl: d.event_preview_vid || ''
+  };
+}
+
+/**
+ * Maps a Firestore event doc to a head descriptor (see metaBuilder.js).
+ * @param {Object} d   Firestore event doc
+ * @param {Object} ctx { pageUrl, lang } Canonical URL of this page and output language
+ */
+function describeEvent(d, { pageUrl, lang = DEFAULT_LANG }) {
+  const {
+    titleRaw, life, label, descRaw, region, fmtLocale, timeZone, whenLine,
+    isFree, priceText, imageUrl
+  } = eventFacts(d, lang);
+  const title     = `${label ? `${label}: ` : ''}${titleRaw}${life.ended ? ` (${t(lang, 'ended')})` : ''} - Ville - ${t(lang, 'tagline')}`;
+  const startIso  = isoInZone(d.start_date, timeZone);
+  const shareDesc = whenLine ? `${whenLine} — ${descRaw}` : descRaw;
+  const desc160   = truncate(shareDesc);
+
   // Fix keywords handling
-  const keywords = Array.isArray(d.interests) 
-    ? d.interests.map(i => sanitize(typeof i === 'object' ? (i.name || i.label || '') : i)).filter(k => k).join(', ') 
+  const keywords = Array.isArray(d.interests)
+    ? d.interests.map(i => clean(typeof i === 'object' ? (i.name || i.label || '') : i)).filter(k => k).join(', ')
     : '';
 
-  // Use fallback image if none exists
-  const imageUrl = d.event_preview_image || DEFAULT_IMAGE;
-  const videoUrl = d.event_preview_vid || '';
-
   // Extract coordinates from geopoint
   const latitude = d.event_location?._latitude || d.event_location?.latitude;
   const longitude = d.event_location?._longitude || d.event_location?.longitude;
 
-  // Determine if free
-  const isFree = !d.feeMin || d.feeMin === 0;
-
   // Age restriction text
-  const ageRestriction = d.minAge && d.minAge > 0 ? `${d.minAge}+` : 'All ages';
+  const ageRestriction = d.minAge && d.minAge > 0 ? `${d.minAge}+` : t(lang, 'all_ages');
 
   /* ---------- Schema.org Event (JSON-LD) with 2025 enhancements ---------- */
   const jsonLd = {
@@ -46,9 +119,10 @@ function buildRichMeta(d, pageUrl) {
     name      : titleRaw,
     description: descRaw,
     keywords,
-    startDate : iso(d.start_date),
-    endDate   : iso(d.end_date),
-    eventStatus: "https://schema.org/EventScheduled",
+    startDate : startIso,
+    endDate   : isoInZone(d.end_date, timeZone),
+    eventStatus: life.schemaStatus,
+    previousStartDate: life.previousStartDate ? isoInZone(life.previousStartDate, timeZone) : undefined,
     eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode", // Always offline for Ville
     location: {
       "@type": "Place",
@@ -59,7 +133,7 @@ function buildRichMeta(d, pageUrl) {
         addressLocality: d.event_city || '',
         addressRegion  : d.event_state || '',
         postalCode     : d.event_zip || '',
-        addressCountry : "US"
+        addressCountry : region.country
       },
       geo: latitude && longitude ? {
         "@type": "GeoCoordinates",
@@ -67,7 +141,7 @@ function buildRichMeta(d, pageUrl) {
         longitude: longitude
       } : undefined
     },
-    image: [imageUrl],
+    image: d.og_card_image ? [d.og_card_image, imageUrl] : [imageUrl],
     organizer: {
       "@type": "Person",
       name: d.event_creator_displayname || '',
@@ -76,9 +150,9 @@ function buildRichMeta(d, pageUrl) {
     offers: {
       "@type" : "Offer",
       price   : d.feeMin || 0,
-      priceRange: d.feeMax ? `$${d.feeMin || 0}-$${d.feeMax}` : `$${d.feeMin || 0}`,
-      priceCurrency: "USD",
-      availability: "https://schema.org/InStock",
+      priceRange: priceText,
+      priceCurrency: region.currency,
+      availability: life.availability,
       url: pageUrl,
       validFrom: iso(d.created_time)
     },
@@ -87,15 +161,18 @@ function buildRichMeta(d, pageUrl) {
   };
 
   // Add video to JSON-LD if available
-  if (videoUrl) {
+  const schemaPreview = eventPreview(d, 'schema');
+  if (schemaPreview?.videoUrl) {
     jsonLd.video = {
       "@type": "VideoObject",
-      name: `${titleRaw} Preview`,
+      name: t(lang, 'event_video_name', { title: titleRaw }),
       description: descRaw,
-      thumbnailUrl: imageUrl,
-      contentUrl: videoUrl,
+      thumbnailUrl: schemaPreview.imageUrl || imageUrl,
+      contentUrl: schemaPreview.videoUrl,
+      width: schemaPreview.width,
+      height: schemaPreview.height,
       uploadDate: iso(d.created_time),
-      duration: "PT2.5S"  // 2.5 seconds
+      duration: isoDuration(d.preview_segment?.duration || LEGACY_PREVIEW_SECONDS)
     };
   }
 
@@ -105,17 +182,17 @@ function buildRichMeta(d, pageUrl) {
     "@type": "FAQPage",
     "mainEntity": [{
       "@type": "Question",
-      "name": "How much does this event cost?",
+      "name": t(lang, 'faq_cost_q'),
       "acceptedAnswer": {
         "@type": "Answer",
-        "text": isFree ? "This event is free!" : (d.feeMax ? `$${d.feeMin}-$${d.feeMax}` : `$${d.feeMin}`)
+        "text": isFree ? t(lang, 'faq_free') : priceText
       }
     }, {
       "@type": "Question",
-      "name": "Is this event age-restricted?",
+      "name": t(lang, 'faq_age_q'),
       "acceptedAnswer": {
         "@type": "Answer",
-        "text": d.minAge && d.minAge > 0 ? `Yes, this event is ${d.minAge}+` : "No, this event is open to all ages"
+        "text": d.minAge && d.minAge > 0 ? t(lang, 'faq_age_yes', { age: d.minAge }) : t(lang, 'faq_age_no')
       }
     }]
   };
@@ -127,13 +204,13 @@ function buildRichMeta(d, pageUrl) {
     "itemListElement": [{
       "@type": "ListItem",
       "position": 1,
-      "name": "Home",
-      "item": "https://ville.social"
+      "name": t(lang, 'home'),
+      "item": SITE_URL
     }, {
       "@type": "ListItem",
       "position": 2,
-      "name": "Events",
-      "item": "https://ville.social/events"
+      "name": t(lang, 'events'),
+      "item": `${SITE_URL}/events`
     }, {
       "@type": "ListItem",
       "position": 3,
@@ -148,8 +225,8 @@ function buildRichMeta(d, pageUrl) {
     "@type": "Organization",
     "name": "Ville Technologies",
     "alternateName": "Ville",
-    "url": "https://ville.social",
-    "logo": "https://ville.social/assets/assets/images/Ville_share-image.jpg",
+    "url": SITE_URL,
+    "logo": DEFAULT_IMAGE,
     "sameAs": [
       "https://www.instagram.com/ville.social_orange",
       "https://www.linkedin.com/company/ville-find-nearby-events/",
@@ -158,166 +235,76 @@ function buildRichMeta(d, pageUrl) {
     "contactPoint": {
       "@type": "ContactPoint",
       "contactType": "customer service",
-      "availableLanguage": "English"
+      "availableLanguage": ["English", "Spanish"]
     }
   };
 
-  /* ---------- Assemble head block (PRIORITY ORDER) ---------- */
-  return `
-<!-- Essential SEO Meta Tags (First Priority) -->
-<meta charset="UTF-8">
-<title>${title}</title>
-<meta name="description" content="${desc160}">
-<meta name="viewport" content="width=device-width, initial-scale=1">
-
-<!-- Open Graph Meta Tags (Second Priority - Critical for Social Media) -->
-<meta property="og:title"       content="${title}">
-<meta property="og:description" content="${descRaw}">
-<meta property="og:image"       content="${imageUrl}">
-<meta property="og:url"         content="${pageUrl}">
-<meta property="og:type"        content="event">
-<meta property="og:site_name"   content="Ville">
-<meta property="og:locale"      content="en_US">
-<meta property="og:image:width"  content="1280">
-<meta property="og:image:height" content="720">
-<meta property="og:image:alt"    content="${titleRaw} event preview">
-${videoUrl ? `
-<!-- Open Graph Video Tags (for platforms that support video previews) -->
-<meta property="og:video"             content="${videoUrl}">
-<meta property="og:video:url"         content="${videoUrl}">
-<meta property="og:video:secure_url"  content="${videoUrl}">
-<meta property="og:video:type"        content="video/mp4">
-<meta property="og:video:width"       content="1080">
-<meta property="og:video:height"      content="1920">` : ''}
-
-<!-- Twitter Card Meta Tags (Third Priority) -->
-<meta name="twitter:card"        content="${videoUrl ? 'player' : 'summary_large_image'}">
-<meta name="twitter:title"       content="${title}">
-<meta name="twitter:description" content="${descRaw}">
-<meta name="twitter:image"       content="${imageUrl}">
-<meta name="twitter:image:alt"   content="${titleRaw} event preview">
-${videoUrl ? `
-<!-- Twitter Video Player Card -->
-<meta name="twitter:player"             content="${videoUrl}">
-<meta name="twitter:player:width"       content="1080">
-<meta name="twitter:player:height"      content="1920">
-<meta name="twitter:player:stream"      content="${videoUrl}">
-<meta name="twitter:player:stream:content_type" content="video/mp4">` : ''}
+  /* ---------- AI/LLM Optimization Meta Tags (2025 Best Practices) ---------- */
+  const namedMeta = [
+    ['publisher', 'Ville Technologies'],
+    ['language', fmtLocale],
+    ['geo.region', d.event_state ? `${region.country}-${clean(d.event_state)}` : region.country],
+    ['geo.placename', clean(d.event_city)],
+    ...(latitude && longitude ? [
+      ['geo.position', `${latitude};${longitude}`],
+      ['ICBM', `${latitude}, ${longitude}`]
+    ] : []),
+    ['category', `Events, Social, ${keywords}`],
+    ['topic', titleRaw],
+    ['summary', desc160],
+    ['classification', 'Event'],
+    ['subject', `${titleRaw} - ${keywords}`],
+    ['revised', new Date().toISOString()],
+    ['date', startIso],
+    ['price', isFree ? t(lang, 'free') : priceText],
+    ['age-restriction', ageRestriction]
+  ];
 
-<!-- Additional SEO Meta Tags -->
-<link rel="canonical" href="${pageUrl}">
-<link rel="alternate" href="${pageUrl.replace('ville.social', 'ville.live')}" hreflang="en">
-<meta name="robots" content="index,follow,max-snippet:-1,max-image-preview:large,max-video-preview:-1">
-${keywords ? `<meta name="keywords" content="${keywords}">` : ''}
+  const ogPreview = eventPreview(d, 'og');
+  const twPreview = eventPreview(d, 'twitter');
+  const ogImage   = d.og_card_image       ? { url: d.og_card_image, width: 1200, height: 630 }
+                  : ogPreview?.imageUrl   ? { url: ogPreview.imageUrl, width: ogPreview.width, height: ogPreview.height }
+                  : { url: DEFAULT_IMAGE };
 
-<!-- AI/LLM Optimization Meta Tags (2025 Best Practices) -->
-<meta name="author" content="${d.event_creator_displayname || 'Ville'}">
-<meta name="publisher" content="Ville Technologies">
-<meta name="language" content="en-US">
-<meta name="geo.region" content="US-${d.event_state || ''}">
-<meta name="geo.placename" content="${d.event_city || ''}">
-${latitude && longitude ? `<meta name="geo.position" content="${latitude};${longitude}">
-<meta name="ICBM" content="${latitude}, ${longitude}">` : ''}
-<meta name="category" content="Events, Social, ${keywords}">
-<meta name="topic" content="${titleRaw}">
-<meta name="summary" content="${desc160}">
-<meta name="classification" content="Event">
-<meta name="subject" content="${titleRaw} - ${keywords}">
-<meta name="revised" content="${new Date().toISOString()}">
-<meta name="date" content="${iso(d.start_date)}">
-<meta name="price" content="${isFree ? 'Free' : `$${d.feeMin}${d.feeMax ? `-$${d.feeMax}` : ''}`}">
-<meta name="age-restriction" content="${ageRestriction}">
-
-<!-- Structured Data (JSON-LD) - Multiple schemas for comprehensive coverage -->
-<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
-<script type="application/ld+json">${JSON.stringify(faqSchema)}</script>
-<script type="application/ld+json">${JSON.stringify(breadcrumbList)}</script>
-<script type="application/ld+json">${JSON.stringify(organization)}</script>
-
-<!-- Deep-link banners -->
-<meta property="al:ios:app_store_id" content="${IOS_APP_ID}">
-<meta property="al:ios:url" content="ville://event/${d.eventID || ''}">
-<meta name="apple-itunes-app"        content="app-id=${IOS_APP_ID}, app-argument=ville://event/${d.eventID || ''}">
-<meta property="al:android:package"  content="${ANDROID_PKG}">
-<meta property="al:android:url" content="ville://event/${d.eventID || ''}">
-<meta name="google-play-app"         content="app-id=${ANDROID_PKG}">
-
-<!-- App Store Links -->
-<link rel="alternate" href="https://apps.apple.com/app/id${IOS_APP_ID}" hreflang="en">
-<link rel="alternate" href="https://play.google.com/store/apps/details?id=${ANDROID_PKG}" hreflang="en">
-
-<!-- Performance & Security Headers -->
-<link rel="preconnect" href="https://firebasestorage.googleapis.com">
-<link rel="dns-prefetch" href="https://firebasestorage.googleapis.com">
-
-<!-- Theme and Icons -->
-<meta name="theme-color" content="${THEME_COLOR}">
-<link rel="icon" href="/favicon.ico">
-<link rel="apple-touch-icon" href="/apple-touch-icon.png">
+  return {
+    title,
+    description: shareDesc,
+    summary    : desc160,
+    url        : pageUrl,
+    ogType     : 'event',
+    region,
+    // Rendered 1200x630 card when generateOgCard has made one, else the best preview still
+    image      : { ...ogImage, alt: t(lang, 'event_image_alt', { title: titleRaw }) },
+    video      : ogPreview?.videoUrl
+      ? { url: ogPreview.videoUrl, width: ogPreview.width, height: ogPreview.height }
+      : null,
+    // X frames the /embed/event/ card; the raw MP4 only goes out as the
+    // stream, the audio copy when there is one since X plays it with sound
+    twitter    : twPreview?.videoUrl && d.eventID
+      ? { card: 'player', player: { url: embedUrl('event', d.eventID), width: twPreview.width, height: twPreview.height, stream: twPreview.audioUrl || twPreview.videoUrl } }
+      : { card: 'summary_large_image' },
+    // Past events stay indexable for a while, then drop out of results
+    robots     : life.ended
+      ? `index,follow,noarchive,max-image-preview:large,unavailable_after: ${unavailableAfter(d)}`
+      : 'index,follow,max-snippet:-1,max-image-preview:large,max-video-preview:-1',
+    keywords,
+    author     : clean(d.event_creator_displayname) || 'Ville',
+    namedMeta,
+    namedMetaHeading: 'AI/LLM Optimization Meta Tags (2025 Best Practices)',
+    jsonLd     : [jsonLd, faqSchema, breadcrumbList, organization],
+    deepLink   : eventDeepLink(d),
+    preconnect : true
+  };
+}
 
-<!-- Deep Link Auto-Redirect Script -->
-<script>
-(function() {
-  // Determine the deep link URL based on current path
-  var path = window.location.pathname;
-  var deepLink = '';
-  
-  if (path.startsWith('/event/')) {
-    deepLink = 'ville:/' + path;
-  } else if (path.startsWith('/u/')) {
-    deepLink = 'ville:/' + path;
-  } else if (path.startsWith('/v/')) {
-    deepLink = 'ville:/' + path;
-  }
-  
-  if (deepLink) {
-    // Detect platform
-    var isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-    var isAndroid = /Android/.test(navigator.userAgent);
-    
-    // Store original page URL for fallback
-    var fallbackUrl = window.location.href;
-    
-    if (isIOS || isAndroid) {
-      // Try to open the app
-      var startTime = Date.now();
-      var appOpened = false;
-      
-      // Create invisible iframe to attempt deep link
-      var iframe = document.createElement('iframe');
-      iframe.style.display = 'none';
-      iframe.src = deepLink;
-      document.body.appendChild(iframe);
-      
-      // Also try direct location change for some browsers
-      setTimeout(function() {
-        window.location.href = deepLink;
-      }, 100);
-      
-      // Check if app opened (browser will lose focus)
-      var checkInterval = setInterval(function() {
-        if (document.hidden || document.webkitHidden) {
-          appOpened = true;
-          clearInterval(checkInterval);
-        }
-      }, 200);
-      
-      // Fallback: if app didn't open after 2.5 seconds, stay on web
-      setTimeout(function() {
-        clearInterval(checkInterval);
-        if (!appOpened && (Date.now() - startTime) < 3000) {
-          // App probably not installed, user stays on web version
-          // Remove iframe to prevent any issues
-          if (iframe.parentNode) {
-            iframe.parentNode.removeChild(iframe);
-          }
-        }
-      }, 2500);
-    }
-  }
-})();
-</script>
-`.trim();
+/**
+ * Builds the full <head> inner-HTML for an event page.
+ * Kept for existing callers; equivalent to buildHead('event', d, { pageUrl }).
+ * @param {Object} d       Firestore event doc
+ * @param {string} pageUrl Canonical URL of this page
+ */
+function buildRichMeta(d, pageUrl) {
+  return renderHead(describeEvent(d, { pageUrl }));
 }
 
-module.exports = { buildRichMeta };
\ No newline at end of file
+module.exports = { buildRichMeta, describeEvent, eventFacts, eventPreview, eventDeepLink };
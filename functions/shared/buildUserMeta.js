@@ -0,0 +1,73 @@
+/* ───────── buildUserMeta.js ───────── */
+const { DEFAULT_IMAGE, clean, iso, truncate } = require('./metaSections');
+const { DEFAULT_LANG, t, tn } = require('./i18n');
+
+/**
+ * Maps a Firestore user doc to a head descriptor (see metaBuilder.js).
+ * @param {Object} u   Firestore user doc
+ * @param {Object} ctx { pageUrl, lang, stats: { followers, events } }
+ */
+function describeUser(u, { pageUrl, lang = DEFAULT_LANG, stats = {} }) {
+  const username    = clean(u.username);
+  const displayName = clean(u.display_name) || username;
+  const handle      = username ? `@${username}` : '';
+  const title       = t(lang, 'profile_title', {
+    name: `${displayName}${handle && displayName !== username ? ` (${handle})` : ''}`
+  });
+  const bioRaw      = clean(u.bio);
+  const followers   = Number(stats.followers) || 0;
+  const events      = Number(stats.events) || 0;
+
+  const countsLine = `${tn(lang, 'followers', followers)} · ${tn(lang, 'events', events)}`;
+  const descRaw    = bioRaw
+    ? `${bioRaw} · ${countsLine}`
+    : t(lang, 'profile_desc', { name: displayName, counts: countsLine });
+
+  const imageUrl = u.photo_url || DEFAULT_IMAGE;
+
+  /* ---------- Schema.org ProfilePage + Person (JSON-LD) ---------- */
+  const person = {
+    "@type"        : "Person",
+    "@id"          : `${pageUrl}#person`,
+    name           : displayName,
+    alternateName  : handle || undefined,
+    identifier     : username,
+    description    : bioRaw || undefined,
+    image          : imageUrl,
+    url            : pageUrl,
+    interactionStatistic: [{
+      "@type": "InteractionCounter",
+      interactionType: "https://schema.org/FollowAction",
+      userInteractionCount: followers
+    }, {
+      "@type": "InteractionCounter",
+      interactionType: "https://schema.org/WriteAction",
+      userInteractionCount: events
+    }]
+  };
+
+  const profilePage = {
+    "@context"  : "https://schema.org",
+    "@type"     : "ProfilePage",
+    "@id"       : pageUrl,
+    url         : pageUrl,
+    name        : title,
+    dateCreated : iso(u.created_time) || undefined,
+    mainEntity  : person
+  };
+
+  return {
+    title,
+    description: descRaw,
+    summary    : truncate(descRaw),
+    url        : pageUrl,
+    ogType     : 'profile',
+    image      : { url: imageUrl, alt: t(lang, 'profile_image_alt', { name: displayName }) },
+    ogExtra    : [['profile:username', username]],
+    twitter    : { card: 'summary' },
+    jsonLd     : [profilePage],
+    deepLink   : `ville://u/${encodeURIComponent(username)}`
+  };
+}
+
+module.exports = { describeUser };
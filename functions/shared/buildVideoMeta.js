@@ -0,0 +1,93 @@
+/* ───────── buildVideoMeta.js ───────── */
+const { SITE_URL, DEFAULT_IMAGE, clean, iso, isoDuration, truncate } = require('./metaSections');
+const { eventTimeZone, isoInZone } = require('./eventTime');
+const { DEFAULT_LANG, t } = require('./i18n');
+const { embedUrl } = require('./requestPath');
+
+/**
+ * Maps a Firestore video doc to a head descriptor (see metaBuilder.js).
+ * @param {Object} v   Firestore video doc
+ * @param {Object} ctx { pageUrl, lang, videoId, creator, event } resolved by the caller
+ */
+function describeVideo(v, { pageUrl, lang = DEFAULT_LANG, videoId = '', creator = null, event = null }) {
+  const creatorName = clean(creator?.display_name || creator?.username || v.video_creator_displayname);
+  const eventTitle  = clean(event?.event_title);
+  const captionRaw  = clean(v.caption || v.description);
+  const titleRaw    = captionRaw
+    ? truncate(captionRaw, 70)
+    : eventTitle  ? t(lang, 'video_of_event', { event: eventTitle })
+    : creatorName ? t(lang, 'video_by', { name: creatorName })
+    : t(lang, 'video');
+  const descRaw     = captionRaw || [
+    creatorName ? t(lang, 'watch_creator', { name: creatorName }) : t(lang, 'watch_generic'),
+    eventTitle ? t(lang, 'watch_from_event', { event: eventTitle }) : '',
+    t(lang, 'watch_on_ville')
+  ].join('');
+
+  const videoUrl   = v.video_url || '';
+  const playerUrl  = videoUrl && videoId ? embedUrl('video', videoId) : '';
+  const imageUrl   = v.thumbnail_url || v.video_thumbnail || DEFAULT_IMAGE;
+  const width      = Number(v.width)  || 1080;
+  const height     = Number(v.height) || 1920;
+  const duration   = isoDuration(v.duration);
+  const eventUrl   = event?.eventID ? `${SITE_URL}/event/${encodeURIComponent(event.eventID)}` : '';
+  const creatorUrl = creator?.username ? `${SITE_URL}/u/${encodeURIComponent(creator.username)}` : undefined;
+
+  /* ---------- Schema.org VideoObject (JSON-LD) ---------- */
+  const jsonLd = {
+    "@context"  : "https://schema.org",
+    "@type"     : "VideoObject",
+    "@id"       : pageUrl,
+    name        : titleRaw,
+    description : descRaw,
+    thumbnailUrl: [imageUrl],
+    contentUrl  : videoUrl || undefined,
+    embedUrl    : playerUrl || undefined,
+    uploadDate  : iso(v.created_time) || undefined,
+    duration    : duration || undefined,
+    width       : width,
+    height      : height,
+    creator     : creatorName ? {
+      "@type": "Person",
+      name   : creatorName,
+      url    : creatorUrl
+    } : undefined,
+    about       : eventUrl ? {
+      "@type"  : "Event",
+      "@id"    : eventUrl,
+      name     : eventTitle,
+      url      : eventUrl,
+      startDate: isoInZone(event.start_date, eventTimeZone(event)) || undefined
+    } : undefined,
+    publisher   : {
+      "@type": "Organization",
+      name   : "Ville Technologies",
+      url    : SITE_URL,
+      logo   : { "@type": "ImageObject", url: DEFAULT_IMAGE }
+    }
+  };
+
+  return {
+    title      : `${titleRaw} - Ville`,
+    description: descRaw,
+    summary    : truncate(descRaw),
+    url        : pageUrl,
+    ogType     : 'video.other',
+    image      : { url: imageUrl, alt: titleRaw },
+    video      : videoUrl ? {
+      url: videoUrl, width, height,
+      duration: duration ? Math.round(Number(v.duration)) : undefined
+    } : null,
+    // X frames the /embed/video/ player page, not the MP4 itself
+    twitter    : playerUrl
+      ? { card: 'player', player: { url: playerUrl, width, height, stream: videoUrl } }
+      : { card: 'summary_large_image' },
+    robots     : 'index,follow,max-image-preview:large,max-video-preview:-1',
+    author     : creatorName,
+    jsonLd     : [jsonLd],
+    deepLink   : `ville://v/${encodeURIComponent(videoId)}`,
+    preconnect : true
+  };
+}
+
+module.exports = { describeVideo };
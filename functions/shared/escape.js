@@ -0,0 +1,48 @@
+/* ───────── escape.js ─────────
+ * Context-aware escaping for everything we inject into served HTML.
+ * Values are escaped once, at the point they're written into markup, so
+ * builders can pass raw Firestore / URL strings around freely.
+ *
+ *   html(s)       text between tags        <title>${html(t)}</title>
+ *   attr(s)       double-quoted attribute  content="${attr(v)}"
+ *   url(s)        attribute holding a URL  href="${url(u)}"
+ *   jsonScript(o) JSON inside <script>     <script type="application/ld+json">
+ *   jsString(s)   JS string literal        var x = ${jsString(s)};
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;'
+};
+
+// Whitespace-collapse and drop control chars; no escaping (see html/attr)
+const clean = s => String(s ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const html = s => String(s ?? '').replace(/[&<>"'`]/g, c => HTML_ESCAPES[c]);
+const attr = html;
+
+/**
+ * Escape a URL for an attribute, refusing schemes that can execute script.
+ * Relative URLs and http(s)/ville: deep links pass through; anything else → ''.
+ */
+const SAFE_SCHEMES = /^(https?:|ville:|\/|[^:]*$)/i;
+const url = s => {
+  const v = String(s ?? '').trim();
+  // Strip whitespace/control chars browsers ignore when sniffing the scheme
+  const probe = v.replace(/[\u0000- ]/g, '');
+  return SAFE_SCHEMES.test(probe) ? attr(v) : '';
+};
+
+// Characters that can end or confuse a <script> block or a JS string
+const SCRIPT_ESCAPES = {
+  '<': '\\u003c', '>': '\\u003e', '&': '\\u0026',
+  '\u2028': '\\u2028', '\u2029': '\\u2029'
+};
+const scriptSafe = json => json.replace(/[<>&\u2028\u2029]/g, c => SCRIPT_ESCAPES[c]);
+
+const jsonScript = o => scriptSafe(JSON.stringify(o));
+const jsString   = s => scriptSafe(JSON.stringify(String(s ?? '')));
+
+module.exports = { clean, html, attr, url, jsonScript, jsString };
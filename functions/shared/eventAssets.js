@@ -0,0 +1,308 @@
+/* ───────── eventAssets.js ─────────
+ * Storage objects that belong to an event, and which of them can go.
+ *
+ *   events/<docId>/…              previews, thumbnails, audio copies, og card
+ *   events/<docId>.gif            share GIF (buildShareGif)
+ *   <EVENT_VIDEO_PREFIX><key>/…   uploads (see previewUpload.js)
+ *
+ * An object is an orphan when its event is gone, and superseded when the
+ * event still exists but none of its URL fields point at it any more (a
+ * rendition dropped from the profile, an audio copy the new video has no
+ * sound for, a replaced upload). Until it is deleted its token URL keeps
+ * serving it. Only files we render, and uploads, can be superseded; anything
+ * else in an event's folder stays while the event does.
+ *
+ * Events copied from another keep its URLs, so an object can be in use by
+ * an event other than the one whose folder (or upload key) it sits under.
+ * Each event lists the objects it points at in asset_refs (ASSET_REFS_FIELD,
+ * kept in step by the syncAssetRefs trigger), and nothing is deleted while
+ * another event lists it. removeEventAssets() also matches the deleted
+ * doc's URLs field by field, for copies that predate asset_refs.
+ *
+ * removeEventAssets() runs when an event doc is deleted. sweepEventAssets()
+ * runs on a schedule for everything else; it only takes objects untouched
+ * for the grace period, so a render or upload that hasn't reached its event
+ * yet is left alone, as is everything of an event whose render is still in
+ * flight (a claim younger than STALE_CLAIM_MS). An event that can't be read
+ * counts as an error, never as deleted. In report mode it deletes nothing and
+ * says what it would.
+ *
+ *   VILLE_ASSET_SWEEP_MODE        'report' (default) or 'delete'
+ *   VILLE_ASSET_SWEEP_GRACE_DAYS  minimum age of a swept object, default 7
+ */
+const { sourceObjectPath } = require('./previewSource');
+const { EVENT_VIDEO_PREFIX, uploadEventKey } = require('./previewUpload');
+const { PREVIEW_STATUS, isStaleClaim } = require('./previewState');
+const { isDocId, lookupEvent } = require('./eventLookup');
+
+const ASSET_PREFIX       = 'events/';
+const SWEEP_DRY_RUN      = process.env.VILLE_ASSET_SWEEP_MODE !== 'delete';
+const SWEEP_GRACE_DAYS   = Number(process.env.VILLE_ASSET_SWEEP_GRACE_DAYS) || 7;
+const REPORT_COLLECTION  = 'assetSweepReports';
+const REPORT_MAX_OBJECTS = 500;      // keeps the report doc well under 1 MB
+const LOOKUP_CONCURRENCY = 20;
+const ASSET_REFS_FIELD   = 'asset_refs';
+
+const SWEEP_REASON = {
+  EVENT_DELETED: 'event_deleted',
+  SUPERSEDED   : 'superseded'
+};
+
+// Every field that can hold a URL into our bucket
+const URL_FIELDS = [
+  'event_video', 'event_photo', 'event_image', 'event_preview_vid', 'event_preview_image',
+  'event_preview_vid_audio', 'og_card_image', 'shareGifUrl'
+];
+const RENDITION_URL_FIELDS = ['video_url', 'image_url', 'audio_video_url'];
+
+/**
+ * Doc ID a derived asset belongs to, or null for anything else under events/.
+ * @param {string} name Object name
+ */
+function assetDocId(name) {
+  const m = /^events\/([^/]+)(?:\/[^/]+|\.gif)$/.exec(name || '');
+  return m ? m[1] : null;
+}
+
+// Names processPreviewAssets, generateOgCard and buildShareGif write
+const RENDERED = /^events\/[^/]+(?:\/(?:output(?:-audio)?\.mp4|fallback\.jpg|preview-[^/]+|og-card\.jpg)|\.gif)$/;
+
+/**
+ * Object names an event doc points at in `bucketName`.
+ * @param {Object} d Firestore event doc
+ * @param {string} bucketName
+ * @returns {Set<string>}
+ */
+function referencedObjects(d, bucketName) {
+  const urls = URL_FIELDS.map(f => d?.[f]);
+  for (const r of Array.isArray(d?.event_preview_renditions) ? d.event_preview_renditions : []) {
+    for (const f of RENDITION_URL_FIELDS) urls.push(r?.[f]);
+  }
+
+  const names = new Set();
+  for (const u of urls) {
+    if (!u) continue;
+    try { names.add(sourceObjectPath(u, bucketName)); }
+    catch { /* external URL */ }
+  }
+  return names;
+}
+
+/**
+ * Value for an event's asset_refs field: the objects it points at, sorted
+ * so an unchanged list compares equal.
+ * @param {Object} d Firestore event doc
+ * @param {string} bucketName
+ * @returns {string[]}
+ */
+const assetRefs = (d, bucketName) => [...referencedObjects(d, bucketName)].sort();
+
+const isOther = docId => q => q.docs.some(doc => doc.id !== docId);
+
+/**
+ * Whether an event other than `docId` points at an object: by asset_refs,
+ * and by exact URL for each `urls` entry ([field, url]). null when a query
+ * failed, which callers treat as in use.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} name Object name
+ * @param {string} docId Event the object is being judged for
+ * @param {Array<[string, string]>} [urls]
+ */
+async function inUseElsewhere(db, name, docId, urls = []) {
+  const events  = db.collection('events');
+  const queries = [events.where(ASSET_REFS_FIELD, 'array-contains', name)]
+    .concat(urls.map(([field, url]) => events.where(field, '==', url)));
+  try {
+    const found = await Promise.all(queries.map(q => q.limit(2).get().then(isOther(docId))));
+    return found.some(Boolean);
+  } catch (err) {
+    console.error(`[eventAssets] Could not check who uses ${name}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Delete everything a deleted event left in Storage. Its upload goes too,
+ * but only when it lives under EVENT_VIDEO_PREFIX. Objects another event
+ * still points at stay.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} docId
+ * @param {Object} d The deleted doc's last data
+ * @returns {Promise<{ removed: string[], kept: string[] }>} Names deleted
+ *          (the upload even if already gone) and names left for other events
+ */
+async function removeEventAssets(db, bucket, docId, d) {
+  // The bare prefix also lists other IDs that start with this one
+  const [files] = await bucket.getFiles({ prefix: `${ASSET_PREFIX}${docId}` });
+  const doomed  = files.filter(f => assetDocId(f.name) === docId);
+
+  let upload = null;
+  try { upload = sourceObjectPath(d?.event_video, bucket.name); }
+  catch { upload = null; }
+  if (upload?.startsWith(EVENT_VIDEO_PREFIX)) doomed.push(bucket.file(upload));
+
+  // The deleted doc's own URLs, by object, for the field-by-field match
+  const urls = new Map();
+  for (const field of URL_FIELDS) {
+    try {
+      const name = sourceObjectPath(d?.[field], bucket.name);
+      urls.set(name, [...(urls.get(name) || []), [field, d[field]]]);
+    } catch { /* unset or external */ }
+  }
+
+  const shared = await Promise.all(doomed.map(f => inUseElsewhere(db, f.name, docId, urls.get(f.name))));
+  const kept   = doomed.filter((f, i) => shared[i] !== false);
+  const gone   = doomed.filter((f, i) => shared[i] === false);
+  await Promise.all(gone.map(f => f.delete({ ignoreNotFound: true })));
+  return { removed: gone.map(f => f.name), kept: kept.map(f => f.name) };
+}
+
+/**
+ * One page of objects at a time, so a large bucket never sits in memory.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} prefix
+ */
+async function* listPages(bucket, prefix, pageSize) {
+  let query = { prefix, autoPaginate: false, maxResults: pageSize };
+  while (query) {
+    const [files, next] = await bucket.getFiles(query);
+    yield files;
+    query = next ? { ...query, pageToken: next.pageToken } : null;
+  }
+}
+
+// Whether a render may still write into the event's folder
+const rendering = d => d.preview_status === PREVIEW_STATUS.PROCESSING && !isStaleClaim(d);
+
+/**
+ * Event doc (or null when it's gone) for a page's owners: derived assets by
+ * doc ID, uploads by key. A key that fails to resolve, or can't name a doc,
+ * is left out of `owners` so its objects are kept.
+ * @returns {Promise<number>} Keys that failed to resolve
+ */
+async function ownersOf(db, files, isUpload, owners) {
+  const keys = [...new Set(files.map(f => isUpload ? uploadEventKey(f.metadata) : assetDocId(f.name)))]
+    .filter(k => k && isDocId(k) && !owners.has(k));
+  let errors = 0;
+
+  if (isUpload) {
+    for (let i = 0; i < keys.length; i += LOOKUP_CONCURRENCY) {
+      await Promise.all(keys.slice(i, i + LOOKUP_CONCURRENCY).map(k =>
+        lookupEvent(db, k).then(
+          ({ snap }) => owners.set(k, snap),
+          err => {
+            errors++;
+            console.error(`[sweepEventAssets] Could not look up event ${k}:`, err.message);
+          }
+        )));
+    }
+  } else if (keys.length) {
+    try {
+      const snaps = await db.getAll(...keys.map(k => db.collection('events').doc(k)));
+      snaps.forEach((s, i) => owners.set(keys[i], s.exists ? s : null));
+    } catch (err) {
+      errors += keys.length;
+      console.error(`[sweepEventAssets] Could not read ${keys.length} event(s):`, err.message);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Find (and unless dryRun, delete) orphaned and superseded event assets.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {{ dryRun?: boolean, graceDays?: number, now?: number, pageSize?: number }} [opts]
+ * @returns {Promise<Object>} Counts, plus the first REPORT_MAX_OBJECTS matches in `objects`
+ */
+async function sweepEventAssets(db, bucket, { dryRun = SWEEP_DRY_RUN, graceDays = SWEEP_GRACE_DAYS, now = Date.now(), pageSize = 500 } = {}) {
+  const cutoff = now - graceDays * 24 * 60 * 60 * 1000;
+  const report = {
+    dryRun,
+    graceDays,
+    scanned  : 0,
+    matched  : 0,
+    inGrace  : 0,
+    deleted  : 0,
+    bytes    : 0,
+    reasons  : { [SWEEP_REASON.EVENT_DELETED]: 0, [SWEEP_REASON.SUPERSEDED]: 0 },
+    shared   : 0,
+    errors   : 0,
+    objects  : [],
+    truncated: false
+  };
+
+  for (const prefix of [ASSET_PREFIX, EVENT_VIDEO_PREFIX]) {
+    const isUpload = prefix === EVENT_VIDEO_PREFIX;
+    for await (const files of listPages(bucket, prefix, pageSize)) {
+      // Owners are re-read per page; a page boundary can split an event's
+      // objects, which costs a read, not a wrong answer
+      const owners = new Map();
+      report.errors += await ownersOf(db, files, isUpload, owners);
+
+      for (const file of files) {
+        report.scanned++;
+        const key = isUpload ? uploadEventKey(file.metadata) : assetDocId(file.name);
+        if (!key || !owners.has(key)) continue;
+
+        const snap = owners.get(key);
+        const d    = snap?.data();
+        let reason = null;
+        if (!snap) {
+          reason = SWEEP_REASON.EVENT_DELETED;
+        } else if ((isUpload || RENDERED.test(file.name)) &&
+                   !rendering(d) &&
+                   !referencedObjects(d, bucket.name).has(file.name)) {
+          reason = SWEEP_REASON.SUPERSEDED;
+        }
+        if (!reason) continue;
+
+        report.matched++;
+        const updated = Date.parse(file.metadata.updated || file.metadata.timeCreated) || now;
+        if (updated > cutoff) {
+          report.inGrace++;
+          continue;
+        }
+
+        const used = await inUseElsewhere(db, file.name, snap?.id || key);
+        if (used !== false) {
+          if (used) report.shared++;
+          else      report.errors++;
+          continue;
+        }
+
+        const size = Number(file.metadata.size) || 0;
+        if (!dryRun) {
+          try {
+            await file.delete({ ignoreNotFound: true });
+          } catch (err) {
+            report.errors++;
+            console.error(`[sweepEventAssets] Could not delete ${file.name}:`, err.message);
+            continue;
+          }
+          report.deleted++;
+        }
+        report.reasons[reason]++;
+        report.bytes += size;
+        if (report.objects.length < REPORT_MAX_OBJECTS) {
+          report.objects.push({
+            name   : file.name,
+            reason,
+            event  : snap?.id || key,
+            size,
+            updated: new Date(updated).toISOString()
+          });
+        } else {
+          report.truncated = true;
+        }
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  ASSET_PREFIX, ASSET_REFS_FIELD, SWEEP_DRY_RUN, SWEEP_GRACE_DAYS, REPORT_COLLECTION, SWEEP_REASON,
+  assetDocId, referencedObjects, assetRefs, removeEventAssets, sweepEventAssets
+};
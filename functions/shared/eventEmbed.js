@@ -0,0 +1,160 @@
+/* ───────── eventEmbed.js ─────────
+ * Standalone event card for third-party sites:
+ *
+ *   <iframe src="https://ville.social/embed/event/<eventID>?theme=dark&size=small"
+ *           width="400" height="420" style="border:0"></iframe>
+ *
+ *   theme  light (default) | dark
+ *   size   small | medium (default) | large   – small drops the video
+ *
+ * Videos get a bare player at /embed/video/<videoID>, the twitter:player
+ * page for /v/ shares: the clip fills the frame, letterboxed, with controls.
+ *
+ * No scripts and no external CSS: the page is one self-contained document
+ * so it stays light inside someone else's layout.
+ */
+const { SITE_NAME, THEME_COLOR } = require('./metaSections');
+const { html, attr, url: safeUrl } = require('./escape');
+const { eventFacts, eventPreview, eventDeepLink } = require('./buildRichMeta');
+const { describeVideo } = require('./buildVideoMeta');
+const { DEFAULT_LANG, t } = require('./i18n');
+
+const THEMES = {
+  light: { bg: '#ffffff', fg: '#1a1a1a', muted: '#5f5f5f', border: '#e5e5e5' },
+  dark : { bg: '#161616', fg: '#f5f5f5', muted: '#a8a8a8', border: '#2e2e2e' }
+};
+
+const SIZES = {
+  small : { maxWidth: 320, title: 16, video: false },
+  medium: { maxWidth: 400, title: 18, video: true },
+  large : { maxWidth: 560, title: 22, video: true }
+};
+
+/**
+ * Theme / size from the query string, falling back to the defaults.
+ * @param {Object} query Express req.query
+ */
+function embedOptions(query = {}) {
+  const theme = Object.hasOwn(THEMES, query.theme) ? query.theme : 'light';
+  const size  = Object.hasOwn(SIZES, query.size)   ? query.size  : 'medium';
+  return { theme, size };
+}
+
+/**
+ * Headers that let any site frame the card while keeping it inert:
+ * no scripts, media and images over https only. Caching and Vary are set
+ * per response, the same way eventMeta does.
+ * @param {Object} res Express response
+ */
+function setEmbedHeaders(res) {
+  res.removeHeader('X-Frame-Options');
+  res.set('Content-Security-Policy', [
+    "default-src 'none'",
+    "img-src https: data:",
+    'media-src https:',
+    "style-src 'unsafe-inline'",
+    'frame-ancestors *',
+    "base-uri 'none'"
+  ].join('; '));
+  res.set('Content-Type', 'text/html; charset=utf-8');
+}
+
+function page({ lang, theme, size, body }) {
+  const c = THEMES[theme];
+  const s = SIZES[size];
+  return `<!DOCTYPE html>
+<html lang="${attr(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${SITE_NAME}</title>
+<style>
+  html,body{margin:0;padding:0;background:transparent}
+  body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:${c.fg}}
+  .card{max-width:${s.maxWidth}px;background:${c.bg};border:1px solid ${c.border};border-radius:12px;overflow:hidden}
+  .media{display:block;width:100%;aspect-ratio:16/9;object-fit:cover;background:${c.border}}
+  .body{padding:12px 16px 16px}
+  .status{display:inline-block;margin-bottom:6px;padding:2px 8px;border-radius:999px;font-size:12px;font-weight:600;background:#d93025;color:#fff}
+  h1{margin:0;font-size:${s.title}px;line-height:1.3}
+  .meta{margin:6px 0 0;font-size:14px;line-height:1.4;color:${c.muted}}
+  .cta{display:inline-block;margin-top:12px;padding:8px 14px;border-radius:8px;background:${THEME_COLOR};color:#1a1a1a;font-size:14px;font-weight:600;text-decoration:none}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Full HTML document for an event card.
+ * @param {Object} d   Firestore event doc
+ * @param {Object} ctx { pageUrl, lang, theme, size }
+ */
+function renderEventEmbed(d, { pageUrl, lang = DEFAULT_LANG, theme = 'light', size = 'medium' }) {
+  const f = eventFacts(d, lang);
+  // The media box is 16:9, so prefer the landscape rendition ('og' order)
+  const preview   = eventPreview(d, 'og');
+  const videoUrl  = preview?.videoUrl || '';
+  const imageUrl  = preview?.imageUrl || f.imageUrl;
+  const showVideo = SIZES[size].video && videoUrl;
+
+  const media = showVideo
+    ? `<video class="media" src="${safeUrl(videoUrl)}" poster="${safeUrl(imageUrl)}" autoplay muted loop playsinline></video>`
+    : `<img class="media" src="${safeUrl(imageUrl)}" alt="${attr(t(lang, 'event_image_alt', { title: f.titleRaw }))}">`;
+
+  const details = [f.whenLine, f.venue, f.isFree ? t(lang, 'free') : f.priceText].filter(Boolean);
+
+  // The card opens the share page; the button opens the app directly
+  const body = `<div class="card">
+<a href="${safeUrl(pageUrl)}" target="_blank" rel="noopener">${media}</a>
+<div class="body">
+${f.label ? `<span class="status">${html(f.label)}</span>` : ''}
+<h1>${html(f.titleRaw)}</h1>
+${details.map(x => `<p class="meta">${html(x)}</p>`).join('\n')}
+<a class="cta" href="${safeUrl(eventDeepLink(d))}" target="_top">${html(t(lang, 'open_in_ville'))}</a>
+</div>
+</div>`;
+
+  return page({ lang, theme, size, body });
+}
+
+/**
+ * Full HTML document for a video player. X sizes the frame from the
+ * twitter:player width / height, so the clip scales to whatever it gets.
+ * @param {Object} v   Firestore video doc (with a video_url)
+ * @param {Object} ctx { pageUrl, lang, videoId }
+ */
+function renderVideoEmbed(v, { pageUrl, lang = DEFAULT_LANG, videoId = '' }) {
+  const m = describeVideo(v, { pageUrl, lang, videoId });
+  return `<!DOCTYPE html>
+<html lang="${attr(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${html(m.title)}</title>
+<style>
+  html,body{margin:0;padding:0;height:100%;background:#000;overflow:hidden}
+  video{display:block;width:100%;height:100%;object-fit:contain}
+  a{position:absolute;top:8px;right:8px;padding:4px 10px;border-radius:999px;background:rgba(0,0,0,.6);color:#fff;font:600 13px -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;text-decoration:none}
+</style>
+</head>
+<body>
+<video src="${safeUrl(m.video.url)}" poster="${safeUrl(m.image.url)}" controls playsinline preload="metadata" aria-label="${attr(m.image.alt)}"></video>
+<a href="${safeUrl(pageUrl)}" target="_blank" rel="noopener">${html(SITE_NAME)}</a>
+</body>
+</html>`;
+}
+
+/**
+ * Card shown in place of a missing or deleted event or video.
+ * @param {Object} ctx { lang, theme, size, gone, kind: 'event' | 'video' }
+ */
+function renderEmbedNotFound({ lang = DEFAULT_LANG, theme = 'light', size = 'medium', gone = false, kind = 'event' }) {
+  const heading = t(lang, `${gone ? 'gone' : 'not_found'}_${kind}`);
+  return page({ lang, theme, size, body: `<div class="card"><div class="body"><h1>${html(heading)}</h1></div></div>` });
+}
+
+module.exports = { embedOptions, setEmbedHeaders, renderEventEmbed, renderVideoEmbed, renderEmbedNotFound };
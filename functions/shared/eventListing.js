@@ -0,0 +1,159 @@
+/* ───────── eventListing.js ─────────
+ * Upcoming-event listings behind the discovery pages.
+ *
+ *   /events                   every upcoming event
+ *   /events/<state>/<city>    e.g. /events/tx/austin
+ *   /events/<interest>        e.g. /events/live-music
+ *
+ * Path segments are slugs. Events carry theirs in listing_keys, kept up to
+ * date by the syncListingKeys trigger (backfillListingKeys.js for older
+ * events), so a city or interest page queries just its own events:
+ *
+ *   listing_keys: ['city:tx/austin', 'interest:live-music', …]
+ *
+ * That needs the composite index (listing_keys array-contains, start_date)
+ * in firestore.indexes.json. /events itself reads the soonest upcoming
+ * events. Each listing's result is shared for SCAN_TTL_MS.
+ */
+const { LruCache } = require('./lruCache');
+const { clean } = require('./escape');
+const { eventStatus, hasEnded, STATUS } = require('./eventStatus');
+
+const SCAN_LIMIT  = 1000;
+const SCAN_TTL_MS = 5 * 60 * 1000;
+const MAX_ITEMS   = 50;
+const MAX_SLUG    = 80;
+const LISTING_KEYS_FIELD = 'listing_keys';
+
+const scans = new LruCache(200, SCAN_TTL_MS);
+
+// 'San José' → 'san-jose', 'Live Music & Arts' → 'live-music-arts'
+const slugify = s => clean(s)
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const titleCase = slug => slug.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+const interestName = i => clean(typeof i === 'object' && i ? (i.name || i.label || '') : i);
+
+/**
+ * Which listing a request is for, or null when the path isn't one.
+ * @param {Object} req Express request
+ * @returns {{ kind: 'all' } | { kind: 'city', state: string, city: string } | { kind: 'interest', interest: string } | null}
+ */
+function parseListingPath(req) {
+  const path  = String(req.path || '').split('?')[0];
+  const match = /(?:^|\/)events(?:\/(.*))?$/.exec(path.replace(/\/+$/, ''));
+  if (!match) return null;
+
+  let parts;
+  try { parts = (match[1] || '').split('/').filter(Boolean).map(p => slugify(decodeURIComponent(p))); }
+  catch { return null; }
+  if (parts.some(p => !p || p.length > MAX_SLUG)) return null;
+
+  if (parts.length === 0) return { kind: 'all' };
+  if (parts.length === 1) return { kind: 'interest', interest: parts[0] };
+  if (parts.length === 2) return { kind: 'city', state: parts[0], city: parts[1] };
+  return null;
+}
+
+/** Canonical path of a listing, e.g. '/events/tx/austin'. */
+function listingPath(listing) {
+  if (listing.kind === 'city')     return `/events/${listing.state}/${listing.city}`;
+  if (listing.kind === 'interest') return `/events/${listing.interest}`;
+  return '/events';
+}
+
+/** listing_keys entry for a listing, or null for /events. */
+function listingKey(listing) {
+  if (listing.kind === 'city')     return `city:${listing.state}/${listing.city}`;
+  if (listing.kind === 'interest') return `interest:${listing.interest}`;
+  return null;
+}
+
+/**
+ * Every listing an event appears on, as stored in listing_keys.
+ * @param {Object} d Firestore event doc
+ * @returns {string[]} Sorted, so an unchanged event compares equal
+ */
+function listingKeys(d) {
+  const keys  = new Set();
+  const state = slugify(d?.event_state);
+  const city  = slugify(d?.event_city);
+  if (state && city) keys.add(listingKey({ kind: 'city', state, city }));
+  for (const i of Array.isArray(d?.interests) ? d.interests : []) {
+    const interest = slugify(interestName(i));
+    if (interest) keys.add(listingKey({ kind: 'interest', interest }));
+  }
+  return [...keys].sort();
+}
+
+// Upcoming events for a listing as plain data, with eventID falling back to the doc ID
+async function upcomingEvents(db, listing, now) {
+  const key    = listingKey(listing);
+  const cached = scans.get(key || 'all');
+  if (cached) return cached;
+
+  let query = db.collection('events')
+    .where('start_date', '>=', new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  if (key) query = query.where(LISTING_KEYS_FIELD, 'array-contains', key);
+  const q = await query.orderBy('start_date').limit(SCAN_LIMIT).get();
+
+  // Only the soonest SCAN_LIMIT are considered; say so when that cuts anything
+  if (q.size >= SCAN_LIMIT) {
+    console.warn(`[eventListing] ${listingPath(listing)}: hit SCAN_LIMIT (${SCAN_LIMIT}), later events are left out`);
+  }
+
+  const events = q.docs.map(s => ({ ...s.data(), eventID: s.get('eventID') ?? s.id }));
+  scans.set(key || 'all', events);
+  return events;
+}
+
+const matches = (listing, d) => {
+  if (listing.kind === 'city') {
+    return slugify(d.event_state) === listing.state && slugify(d.event_city) === listing.city;
+  }
+  if (listing.kind === 'interest') {
+    return Array.isArray(d.interests) && d.interests.some(i => slugify(interestName(i)) === listing.interest);
+  }
+  return true;
+};
+
+/**
+ * Events for a listing, soonest first, plus human names for the heading
+ * taken from the events themselves (so 'tx/austin' reads 'Austin, TX').
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} listing From parseListingPath()
+ * @param {Date}   now
+ * @returns {Promise<{ events: Object[], place: string, interest: string }>}
+ */
+async function findListingEvents(db, listing, now = new Date()) {
+  const events = (await upcomingEvents(db, listing, now))
+    .filter(d => {
+      const status = eventStatus(d);
+      return status !== STATUS.DELETED && status !== STATUS.CANCELLED && !hasEnded(d, now);
+    })
+    .filter(d => matches(listing, d))
+    .slice(0, MAX_ITEMS);
+
+  const first = events[0] || {};
+  const place = listing.kind === 'city'
+    ? `${clean(first.event_city) || titleCase(listing.city)}, ${clean(first.event_state) || listing.state.toUpperCase()}`
+    : '';
+  const interest = listing.kind === 'interest'
+    ? ((first.interests || []).map(interestName).find(n => slugify(n) === listing.interest) || titleCase(listing.interest))
+    : '';
+
+  return { events, place, interest };
+}
+
+function clearListingCache() {
+  scans.clear();
+}
+
+module.exports = {
+  LISTING_KEYS_FIELD,
+  slugify, parseListingPath, listingPath, listingKeys, findListingEvents, clearListingCache
+};
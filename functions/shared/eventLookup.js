@@ -0,0 +1,143 @@
+/* ───────── eventLookup.js ─────────
+ * Resolve a public eventID (the /event/<eventID> key) to its Firestore doc.
+ *
+ *   1. In-process LRU of recent hits and misses
+ *   2. eventIndex/<eventID> → { docId }   (kept in sync by syncEventIndex)
+ *   3. events/<eventID>                   (doc ID fast path – most IDs match)
+ *   4. where('eventID', '==', key)        (fallback; writes the index entry)
+ */
+const { LruCache } = require('./lruCache');
+const admin        = require('firebase-admin');
+
+const INDEX_COLLECTION = 'eventIndex';
+const HIT_TTL_MS  = 10 * 60 * 1000;
+const MISS_TTL_MS = 30 * 1000;         // short, so brand-new events show up quickly
+
+// eventID → docId, or one of the sentinels below for a known miss
+const MISSING = Symbol('missing');
+const GONE    = Symbol('gone');
+const docIds  = new LruCache(2000, HIT_TTL_MS);
+
+/**
+ * The key an event is shared under: its eventID, or its doc ID when it has
+ * none. Canonical, embed and oEmbed URLs are built from this rather than
+ * from whichever key the request came in on.
+ * @param {FirebaseFirestore.DocumentSnapshot} snap
+ */
+const publicId = snap => snap.get('eventID') ?? snap.id;
+
+/**
+ * Whether a key can be a Firestore doc ID. The SDK throws on anything else,
+ * so keys from URLs and object names are checked before they reach .doc().
+ * @param {string} key
+ */
+function isDocId(key) {
+  return typeof key === 'string' && key !== '' && key !== '.' && key !== '..' &&
+    !key.includes('/') && !/^__.*__$/.test(key) && Buffer.byteLength(key) <= 1500;
+}
+
+/**
+ * Look up an event and say why when there isn't one.
+ * `gone` is true when the eventID existed and its event was deleted
+ * (eventIndex keeps a tombstone), false when it never existed.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} eventKey Public eventID from the URL
+ * @returns {Promise<{ snap: FirebaseFirestore.DocumentSnapshot|null, gone: boolean }>}
+ */
+async function lookupEvent(db, eventKey) {
+  if (!isDocId(eventKey)) return { snap: null, gone: false };
+
+  const events = db.collection('events');
+  const cached = docIds.get(eventKey);
+
+  if (cached === MISSING) return { snap: null, gone: false };
+  if (cached === GONE)    return { snap: null, gone: true };
+  if (cached) {
+    const snap = await events.doc(cached).get();
+    if (snap.exists && publicId(snap) === eventKey) return { snap, gone: false };
+    docIds.delete(eventKey);             // moved or deleted – resolve again
+  }
+
+  // Mapping doc and direct doc read in parallel; both are single-doc gets
+  const [indexSnap, directSnap] = await Promise.all([
+    db.collection(INDEX_COLLECTION).doc(eventKey).get(),
+    events.doc(eventKey).get()
+  ]);
+
+  const tombstoned = indexSnap.exists && indexSnap.get('deleted') === true;
+
+  if (indexSnap.exists && !tombstoned) {
+    const docId = indexSnap.get('docId');
+    const snap  = docId === eventKey ? directSnap : await events.doc(docId).get();
+    if (snap.exists && publicId(snap) === eventKey) {
+      docIds.set(eventKey, snap.id);
+      return { snap, gone: false };
+    }
+  }
+
+  if (directSnap.exists && publicId(directSnap) === eventKey) {
+    docIds.set(eventKey, directSnap.id);
+    return { snap: directSnap, gone: false };
+  }
+
+  const q = await events.where('eventID', '==', eventKey).limit(1).get();
+  if (q.empty) {
+    docIds.set(eventKey, tombstoned ? GONE : MISSING, MISS_TTL_MS);
+    return { snap: null, gone: tombstoned };
+  }
+
+  const snap = q.docs[0];
+  docIds.set(eventKey, snap.id);
+  // Self-heal the index for events that predate it or beat the trigger
+  db.collection(INDEX_COLLECTION).doc(eventKey)
+    .set({ docId: snap.id, deleted: false }, { merge: true })
+    .catch(err => console.error('eventIndex backfill failed:', eventKey, err.message));
+  return { snap, gone: false };
+}
+
+/**
+ * Snapshot-only shorthand for callers that don't care why an event is missing.
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function resolveEvent(db, eventKey) {
+  return (await lookupEvent(db, eventKey)).snap;
+}
+
+/**
+ * Keep eventIndex in step with an events/{docId} write. A deleted event
+ * leaves a tombstone so its share link can answer 410 instead of 404.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} docId
+ * @param {Object|null} before Event data before the write
+ * @param {Object|null} after  Event data after the write
+ */
+async function syncEventIndex(db, docId, before, after) {
+  // An eventID that can't be a doc ID has no index entry (lookupEvent 404s it)
+  const oldKey = isDocId(before?.eventID) ? before.eventID : null;
+  const newKey = isDocId(after?.eventID)  ? after.eventID  : null;
+  if (oldKey === newKey && after) return;
+
+  const index = db.collection(INDEX_COLLECTION);
+  const batch = db.batch();
+
+  if (oldKey && !after) {
+    batch.set(index.doc(oldKey), {
+      docId,
+      deleted  : true,
+      deletedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } else if (oldKey && oldKey !== newKey) {
+    batch.delete(index.doc(oldKey));
+  }
+  if (newKey) batch.set(index.doc(newKey), { docId, deleted: false }, { merge: true });
+
+  if (oldKey) docIds.delete(oldKey);
+  if (newKey) docIds.delete(newKey);
+  await batch.commit();
+}
+
+function clearEventLookupCache() {
+  docIds.clear();
+}
+
+module.exports = { isDocId, publicId, lookupEvent, resolveEvent, syncEventIndex, clearEventLookupCache, INDEX_COLLECTION };
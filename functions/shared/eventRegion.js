@@ -0,0 +1,104 @@
+/* ───────── eventRegion.js ─────────
+ * Country, currency and locale for an event, read from the doc with
+ * fallbacks for events created before those fields existed (all US).
+ *
+ *   event_country   ISO 3166-1 alpha-2   'MX'
+ *   event_currency  ISO 4217             'MXN'
+ *   event_locale    BCP 47               'es-MX'
+ */
+
+const DEFAULT_COUNTRY = 'US';
+
+// Currency and locale per country; extend as we launch in new markets
+const COUNTRY_DEFAULTS = {
+  US: { currency: 'USD', locale: 'en-US' },
+  CA: { currency: 'CAD', locale: 'en-CA' },
+  MX: { currency: 'MXN', locale: 'es-MX' },
+  GB: { currency: 'GBP', locale: 'en-GB' },
+  IE: { currency: 'EUR', locale: 'en-IE' },
+  ES: { currency: 'EUR', locale: 'es-ES' },
+  FR: { currency: 'EUR', locale: 'fr-FR' },
+  DE: { currency: 'EUR', locale: 'de-DE' },
+  IT: { currency: 'EUR', locale: 'it-IT' },
+  NL: { currency: 'EUR', locale: 'nl-NL' },
+  PT: { currency: 'EUR', locale: 'pt-PT' },
+  BR: { currency: 'BRL', locale: 'pt-BR' },
+  AR: { currency: 'ARS', locale: 'es-AR' },
+  CO: { currency: 'COP', locale: 'es-CO' },
+  CL: { currency: 'CLP', locale: 'es-CL' },
+  PR: { currency: 'USD', locale: 'es-PR' },
+  AU: { currency: 'AUD', locale: 'en-AU' },
+  NZ: { currency: 'NZD', locale: 'en-NZ' },
+  JP: { currency: 'JPY', locale: 'ja-JP' },
+  IN: { currency: 'INR', locale: 'en-IN' }
+};
+
+const upper = v => String(v || '').trim().toUpperCase();
+
+const isCurrency = code => {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try { new Intl.NumberFormat('en', { style: 'currency', currency: code }); return true; }
+  catch { return false; }
+};
+
+const canonicalLocale = tag => {
+  try { return Intl.getCanonicalLocales(String(tag).replace(/_/g, '-'))[0] || ''; }
+  catch { return ''; }
+};
+
+/**
+ * @param {Object} d Firestore event doc
+ * @returns {{ country: string, currency: string, locale: string }}
+ */
+function eventRegion(d = {}) {
+  const rawCountry = upper(d.event_country || d.country);
+  const country    = /^[A-Z]{2}$/.test(rawCountry) ? rawCountry : DEFAULT_COUNTRY;
+  const defaults   = COUNTRY_DEFAULTS[country] || COUNTRY_DEFAULTS[DEFAULT_COUNTRY];
+
+  const rawCurrency = upper(d.event_currency || d.currency);
+  const currency    = isCurrency(rawCurrency) ? rawCurrency : defaults.currency;
+
+  // A bare language ('es') gets the event's country attached
+  let locale = canonicalLocale(d.event_locale || d.locale || '');
+  if (locale && !locale.includes('-')) locale = canonicalLocale(`${locale}-${country}`);
+  if (!locale) locale = COUNTRY_DEFAULTS[country] ? defaults.locale : `en-${country}`;
+
+  return { country, currency, locale };
+}
+
+/**
+ * Locale to format an event's page in for `lang`: the event's own locale when
+ * it is in that language ('es-MX' for the Spanish page of a Mexican event),
+ * else that language in the event's country ('en-MX').
+ * @param {{ country: string, locale?: string }} region From eventRegion()
+ * @param {string} lang Page language
+ */
+function localeFor(region, lang) {
+  const own = region.locale || '';
+  if (own.split('-')[0] === lang) return own;
+  return canonicalLocale(`${lang}-${region.country}`) || `${lang}-${DEFAULT_COUNTRY}`;
+}
+
+// 'es-MX' → 'es_MX' for og:locale
+const ogLocale = tag => String(tag).replace(/-/g, '_');
+
+/**
+ * Format an amount in the event's currency, e.g. "$12", "MX$250", "12,50 €".
+ * Whole amounts drop the minor units.
+ */
+function formatPrice(amount, { currency, locale }) {
+  const n = Number(amount) || 0;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(n) ? 0 : undefined
+  }).format(n);
+}
+
+// "$10–$25" or "$10" when there's no distinct max
+function formatPriceRange(min, max, region) {
+  const lo = formatPrice(min, region);
+  return max && Number(max) !== Number(min || 0) ? `${lo}–${formatPrice(max, region)}` : lo;
+}
+
+module.exports = { eventRegion, localeFor, ogLocale, formatPrice, formatPriceRange, DEFAULT_COUNTRY };
@@ -0,0 +1,112 @@
+/* ───────── eventStatus.js ─────────
+ * Where an event is in its lifecycle, derived from the fields the app writes.
+ * Accepts both the `event_status` string and the older boolean flags.
+ */
+
+const STATUS = {
+  SCHEDULED  : 'scheduled',
+  RESCHEDULED: 'rescheduled',
+  CANCELLED  : 'cancelled',
+  POSTPONED  : 'postponed',
+  DELETED    : 'deleted'
+};
+
+const SCHEMA_STATUS = {
+  [STATUS.SCHEDULED]  : 'https://schema.org/EventScheduled',
+  [STATUS.RESCHEDULED]: 'https://schema.org/EventRescheduled',
+  [STATUS.CANCELLED]  : 'https://schema.org/EventCancelled',
+  [STATUS.POSTPONED]  : 'https://schema.org/EventPostponed'
+};
+
+const AVAILABILITY = {
+  IN_STOCK    : 'https://schema.org/InStock',
+  SOLD_OUT    : 'https://schema.org/SoldOut',
+  DISCONTINUED: 'https://schema.org/Discontinued'
+};
+
+// Events without an end_date are treated as over this long after they start
+const DEFAULT_DURATION_MS = 4 * 60 * 60 * 1000;
+
+const flag   = v => v === true || v === 'true';
+const toDate = ts => ts?.toDate ? ts.toDate() : (ts instanceof Date ? ts : null);
+const count  = v => Array.isArray(v) ? v.length : (Number.isFinite(Number(v)) ? Number(v) : null);
+
+// previous_start_date that actually differs from the current start
+function previousStart(d) {
+  const prev  = toDate(d.previous_start_date);
+  const start = toDate(d.start_date);
+  return prev && (!start || prev.getTime() !== start.getTime()) ? prev : null;
+}
+
+/**
+ * @param {Object} d Firestore event doc
+ * @returns {'scheduled'|'rescheduled'|'cancelled'|'postponed'|'deleted'}
+ */
+function eventStatus(d = {}) {
+  const s = String(d.event_status || '').toLowerCase();
+
+  if (flag(d.deleted) || flag(d.is_deleted) || d.deleted_at || s === 'deleted') return STATUS.DELETED;
+  if (flag(d.cancelled) || flag(d.is_cancelled) || s === 'cancelled' || s === 'canceled') return STATUS.CANCELLED;
+  if (flag(d.postponed) || flag(d.is_postponed) || s === 'postponed') return STATUS.POSTPONED;
+  if (s === 'rescheduled' || previousStart(d)) return STATUS.RESCHEDULED;
+  return STATUS.SCHEDULED;
+}
+
+/**
+ * True once the event's end (or start + DEFAULT_DURATION_MS) has passed.
+ * @param {Object} d   Firestore event doc
+ * @param {Date}   now
+ */
+function hasEnded(d = {}, now = new Date()) {
+  const end   = toDate(d.end_date);
+  const start = toDate(d.start_date);
+  const over  = end || (start && new Date(start.getTime() + DEFAULT_DURATION_MS));
+  return !!over && over < now;
+}
+
+/**
+ * True when the event is flagged sold out or its attendee count has reached
+ * capacity. Unknown capacity is never sold out.
+ * @param {Object} d Firestore event doc
+ */
+function isSoldOut(d = {}) {
+  if (flag(d.sold_out) || flag(d.is_sold_out)) return true;
+  const capacity = count(d.capacity ?? d.max_capacity ?? d.max_attendees);
+  const going    = count(d.attendee_count ?? d.going_count ?? d.attendees ?? d.going);
+  return capacity > 0 && going !== null && going >= capacity;
+}
+
+/**
+ * Everything the meta builder needs to describe an event's lifecycle.
+ * @param {Object} d   Firestore event doc
+ * @param {Date}   now
+ */
+function eventLifecycle(d = {}, now = new Date()) {
+  const status  = eventStatus(d);
+  const ended   = hasEnded(d, now);
+  const soldOut = isSoldOut(d);
+
+  const availability =
+    ended || status === STATUS.CANCELLED || status === STATUS.DELETED ? AVAILABILITY.DISCONTINUED
+    : soldOut                                                         ? AVAILABILITY.SOLD_OUT
+    : AVAILABILITY.IN_STOCK;
+
+  return {
+    status,
+    ended,
+    soldOut,
+    availability,
+    schemaStatus     : SCHEMA_STATUS[status] || SCHEMA_STATUS[STATUS.SCHEDULED],
+    previousStartDate: status === STATUS.RESCHEDULED ? previousStart(d) : null
+  };
+}
+
+// Short human label shown in titles/descriptions; '' for a normal event
+const STATUS_LABELS = {
+  [STATUS.CANCELLED]  : 'Cancelled',
+  [STATUS.POSTPONED]  : 'Postponed',
+  [STATUS.RESCHEDULED]: 'Rescheduled'
+};
+const statusLabel = status => STATUS_LABELS[status] || '';
+
+module.exports = { STATUS, AVAILABILITY, eventStatus, eventLifecycle, hasEnded, isSoldOut, statusLabel };
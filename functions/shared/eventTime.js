@@ -0,0 +1,109 @@
+/* ───────── eventTime.js ─────────
+ * Event dates rendered in the event's own timezone.
+ *
+ * Zone resolution order:
+ *   1. event_timezone / timezone field (IANA name written by the app)
+ *   2. offline lookup from event_location coordinates
+ *   3. primary zone of event_state (US events created before we stored either)
+ *   4. UTC
+ */
+const tzlookup = require('@photostructure/tz-lookup');
+
+// Most-populous zone per state; only used when we have no coordinates
+const US_STATE_ZONES = {
+  AL: 'America/Chicago',  AK: 'America/Anchorage', AZ: 'America/Phoenix',   AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York',  DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York',  GA: 'America/New_York',  HI: 'Pacific/Honolulu',
+  ID: 'America/Boise',    IL: 'America/Chicago',   IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago',  KY: 'America/New_York',  LA: 'America/Chicago',   ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York',  MI: 'America/Detroit',   MN: 'America/Chicago',
+  MS: 'America/Chicago',  MO: 'America/Chicago',   MT: 'America/Denver',    NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York',  ND: 'America/Chicago',   OH: 'America/New_York',
+  OK: 'America/Chicago',  OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago',   TN: 'America/Chicago',   TX: 'America/Chicago',
+  UT: 'America/Denver',   VT: 'America/New_York',  VA: 'America/New_York',  WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago',   WY: 'America/Denver',    PR: 'America/Puerto_Rico'
+};
+
+const isValidZone = tz => {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; }
+  catch { return false; }
+};
+
+const toDate = ts => ts?.toDate ? ts.toDate() : (ts instanceof Date ? ts : null);
+
+/**
+ * IANA timezone for an event (see resolution order above).
+ * @param {Object} d Firestore event doc
+ */
+function eventTimeZone(d = {}) {
+  const stored = d.event_timezone || d.timezone;
+  if (stored && isValidZone(stored)) return stored;
+
+  const lat = Number(d.event_location?._latitude ?? d.event_location?.latitude);
+  const lng = Number(d.event_location?._longitude ?? d.event_location?.longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lng) && (lat || lng)) {
+    try { return tzlookup(lat, lng); } catch { /* out of range – fall through */ }
+  }
+
+  return US_STATE_ZONES[String(d.event_state || '').trim().toUpperCase()] || 'UTC';
+}
+
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+}
+
+/**
+ * ISO-8601 with the zone's UTC offset, e.g. 2025-03-01T19:00:00-07:00.
+ * @param {Timestamp|Date} ts
+ * @param {string}         timeZone IANA name
+ * @returns {string} '' when ts is empty
+ */
+function isoInZone(ts, timeZone = 'UTC') {
+  const date = toDate(ts);
+  if (!date || isNaN(date)) return '';
+
+  const p = zonedParts(date, timeZone);
+  const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  const offsetMin = Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs  = Math.abs(offsetMin);
+  const off  = offsetMin === 0
+    ? 'Z'
+    : `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${off}`;
+}
+
+/**
+ * Human-readable local date/time, e.g. "Sat, Mar 1 · 7:00 PM MST".
+ * Adds the end time when it's on the same local day.
+ * @param {Timestamp|Date} startTs
+ * @param {Timestamp|Date} endTs
+ * @param {string}         timeZone
+ * @param {string}         locale   BCP-47 tag
+ */
+function formatEventWhen(startTs, endTs, timeZone = 'UTC', locale = 'en-US') {
+  const start = toDate(startTs);
+  if (!start || isNaN(start)) return '';
+  const end = toDate(endTs);
+
+  const day  = new Intl.DateTimeFormat(locale, { timeZone, weekday: 'short', month: 'short', day: 'numeric' });
+  const time = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+  const zone = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+    .formatToParts(start).find(p => p.type === 'timeZoneName')?.value || '';
+
+  const sameDay = end && !isNaN(end) && day.format(start) === day.format(end);
+  const range   = sameDay ? `${time.format(start)} – ${time.format(end)}` : time.format(start);
+  return `${day.format(start)} · ${range}${zone ? ` ${zone}` : ''}`;
+}
+
+module.exports = { eventTimeZone, isoInZone, formatEventWhen };
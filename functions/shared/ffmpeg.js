@@ -0,0 +1,223 @@
+/* ───────── ffmpeg.js ─────────
+ * The one place ffmpeg / ffprobe are found and run. Every transcode goes
+ * through runFfmpeg() so all pipelines use the same build.
+ *
+ * Binaries are resolved once per instance, first match wins:
+ *   1. FFMPEG_PATH / FFPROBE_PATH        local installs, the emulator
+ *   2. @ffmpeg-installer package bundled with deploys (ffmpeg only)
+ *   3. bin/ffmpeg / bin/ffprobe in the default bucket, copied to tmp
+ *   4. ffmpeg / ffprobe on PATH
+ * A candidate that doesn't run, or whose ffmpeg lacks a filter or encoder
+ * the pipelines use (FFMPEG_NEEDS), is skipped with a warning saying why.
+ * Builds are judged by what they can do rather than their version string:
+ * static git builds ("N-47683-g…", what the installer ships) have none.
+ *
+ * Runs are killed after timeoutMs. stderr is parsed for progress and logged
+ * as structured entries; its tail is kept on errors for the caller.
+ */
+const { spawn, execFile } = require('child_process');
+const fs        = require('fs/promises');
+const { join }  = require('path');
+const { tmpdir } = require('os');
+const logger    = require('firebase-functions/logger');
+
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+const PROGRESS_EVERY_MS  = 5000;
+const STDERR_TAIL_BYTES  = 2000;
+
+// Everything previewProfiles, previewSegment, ogCard and buildShareGif ask of ffmpeg
+const FFMPEG_NEEDS = {
+  filters : [
+    'scale', 'crop', 'colorchannelmixer', 'overlay', 'format', 'split', 'color',   // renders
+    'loudnorm', 'afade',                                                          // audio copy
+    'fps', 'select', 'signalstats', 'blackdetect', 'metadata',                    // segment analysis
+    'drawtext',                                                                   // og card
+    'palettegen', 'paletteuse'                                                    // share GIF
+  ],
+  encoders: ['libx264', 'aac', 'mjpeg', 'gif']
+};
+
+const TOOLS = {
+  ffmpeg : { env: 'FFMPEG_PATH',  pkg: '@ffmpeg-installer/ffmpeg', gcs: 'bin/ffmpeg', needs: FFMPEG_NEEDS },
+  ffprobe: { env: 'FFPROBE_PATH', gcs: 'bin/ffprobe' }
+};
+
+class FfmpegError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code?: number|string, signal?: string, timedOut?: boolean, stderrTail?: string, cause?: Error }} [info]
+   */
+  constructor(message, { code = null, signal = null, timedOut = false, stderrTail = '', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name       = 'FfmpegError';
+    this.code       = code;
+    this.signal     = signal;
+    this.timedOut   = timedOut;
+    this.stderrTail = stderrTail;
+    // Killed (OOM, shutdown), too slow or no binary yet (bucket unreachable) is worth
+    // another go; a non-zero exit means bad input
+    this.transient  = Boolean(signal) || timedOut || code === 'unavailable';
+  }
+}
+
+function stdoutOf(bin, args) {
+  return new Promise((ok, bad) =>
+    execFile(bin, args, { timeout: 10000, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => err ? bad(err) : ok(String(stdout)))
+  );
+}
+
+// Names from `-filters` / `-encoders`: " T.C scale  V->V  Scale…", " V..... libx264  …"
+const listedNames = out => new Set(
+  String(out || '').split('\n').map(line => /^\s*[A-Z.|]{3,6}\s+(\w+)\s/.exec(line)?.[1]).filter(Boolean)
+);
+
+/**
+ * What a build lacks of `needs`, as "filter x" / "encoder y"; [] when nothing.
+ * @param {{ filters: string[], encoders: string[] }} needs
+ * @param {{ filters: string, encoders: string }} listings `-filters` / `-encoders` output
+ */
+function missingFeatures(needs, listings) {
+  const have = { filters: listedNames(listings.filters), encoders: listedNames(listings.encoders) };
+  return ['filters', 'encoders'].flatMap(kind =>
+    needs[kind].filter(name => !have[kind].has(name)).map(name => `${kind.slice(0, -1)} ${name}`));
+}
+
+// Candidate paths for a tool, in priority order; the GCS copy is fetched lazily
+function candidates(tool) {
+  const spec = TOOLS[tool];
+  const list = [];
+  if (process.env[spec.env]) list.push({ source: 'env', path: async () => process.env[spec.env] });
+  if (spec.pkg) list.push({ source: 'package', path: async () => require(spec.pkg).path });
+  list.push({
+    source: 'gcs',
+    path  : async () => {
+      const dest = join(tmpdir(), tool);
+      try { await fs.access(dest); }
+      catch {
+        // Download beside the target and rename, so a failed copy never looks usable
+        const bucket = require('firebase-admin').storage().bucket();
+        await bucket.file(spec.gcs).download({ destination: `${dest}.part` });
+        await fs.chmod(`${dest}.part`, 0o755);
+        await fs.rename(`${dest}.part`, dest);
+      }
+      return dest;
+    }
+  });
+  list.push({ source: 'path', path: async () => tool });
+  return list;
+}
+
+const resolved = new Map();
+
+/**
+ * Path and version of a tool, resolved once per instance.
+ * @param {'ffmpeg'|'ffprobe'} tool
+ * @returns {Promise<{ path: string, version: string, source: string }>}
+ */
+function resolveTool(tool) {
+  if (!resolved.has(tool)) {
+    const attempt = (async () => {
+      const skipped = [];
+      for (const c of candidates(tool)) {
+        try {
+          const path    = await c.path();
+          const version = (await stdoutOf(path, ['-version'])).split('\n')[0];
+          const missing = TOOLS[tool].needs
+            ? missingFeatures(TOOLS[tool].needs, {
+              filters : await stdoutOf(path, ['-hide_banner', '-filters']),
+              encoders: await stdoutOf(path, ['-hide_banner', '-encoders'])
+            })
+            : [];
+          if (missing.length) {
+            const reason = `${version} lacks ${missing.join(', ')}`;
+            skipped.push(`${c.source}: ${reason}`);
+            logger.warn(`${tool} candidate skipped`, { tool, source: c.source, path, reason });
+            continue;
+          }
+          logger.info(`${tool} resolved`, { tool, source: c.source, path, version });
+          return { path, version, source: c.source };
+        } catch (err) {
+          skipped.push(`${c.source}: ${err.message}`);
+          logger.warn(`${tool} candidate skipped`, { tool, source: c.source, reason: err.message });
+        }
+      }
+      throw new FfmpegError(`No usable ${tool} (${skipped.join('; ')})`, { code: 'unavailable' });
+    })();
+    // Don't cache a failure; the next call may find the bucket reachable
+    attempt.catch(() => resolved.delete(tool));
+    resolved.set(tool, attempt);
+  }
+  return resolved.get(tool);
+}
+
+// "frame=  25 fps=0.0 q=-1.0 size=  256kB time=00:00:01.00 bitrate=… speed=2.1x"
+function parseProgress(line) {
+  const time = /time=\s*(\S+)/.exec(line);
+  if (!time) return null;
+  const frame = /frame=\s*(\d+)/.exec(line);
+  const speed = /speed=\s*(\S+)/.exec(line);
+  return { time: time[1], frame: frame ? Number(frame[1]) : undefined, speed: speed ? speed[1] : undefined };
+}
+
+function run(tool, args, { label = tool, timeoutMs = DEFAULT_TIMEOUT_MS, captureStdout = false } = {}) {
+  return resolveTool(tool).then(({ path }) => new Promise((ok, bad) => {
+    const started = Date.now();
+    let stdout = '';
+    let tail = '';
+    let partial = '';
+    let lastProgress = 0;
+    let timedOut = false;
+
+    const proc = spawn(path, args, { stdio: ['ignore', captureStdout ? 'pipe' : 'ignore', 'pipe'] });
+    const timer = setTimeout(() => { timedOut = true; proc.kill('SIGKILL'); }, timeoutMs);
+
+    if (captureStdout) proc.stdout.on('data', c => { stdout += c; });
+    proc.stderr.on('data', chunk => {
+      tail = (tail + chunk).slice(-STDERR_TAIL_BYTES);
+      // Stats lines end in \r, messages in \n
+      const parts = (partial + chunk).split(/[\r\n]+/);
+      partial = parts.pop();
+      for (const line of parts) {
+        const p = parseProgress(line);
+        if (p && Date.now() - lastProgress >= PROGRESS_EVERY_MS) {
+          lastProgress = Date.now();
+          logger.info(`${label} progress`, { tool, label, ...p });
+        }
+      }
+    });
+
+    proc.on('error', err => {
+      clearTimeout(timer);
+      bad(new FfmpegError(`${label}: ${err.message}`, { code: err.code, cause: err }));
+    });
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const ms = Date.now() - started;
+      if (code === 0) {
+        logger.info(`${label} done`, { tool, label, ms });
+        return ok({ stdout, stderrTail: tail });
+      }
+      const why = timedOut ? `timed out after ${timeoutMs} ms` : signal ? `killed by ${signal}` : `exit ${code}`;
+      logger.error(`${label} failed: ${why}`, { tool, label, ms, code, signal, timedOut, stderrTail: tail });
+      bad(new FfmpegError(`${label} ${why}`, { code, signal, timedOut, stderrTail: tail }));
+    });
+  }));
+}
+
+/**
+ * Run ffmpeg; rejects with FfmpegError.
+ * @param {string[]} args
+ * @param {{ label?: string, timeoutMs?: number }} [opts]
+ * @returns {Promise<{ stderrTail: string }>}
+ */
+const runFfmpeg = (args, opts) => run('ffmpeg', args, opts);
+
+/**
+ * Run ffprobe and collect its stdout; rejects with FfmpegError.
+ * @param {string[]} args
+ * @param {{ label?: string, timeoutMs?: number }} [opts]
+ * @returns {Promise<{ stdout: string, stderrTail: string }>}
+ */
+const runFfprobe = (args, opts) => run('ffprobe', args, { label: 'ffprobe', ...opts, captureStdout: true });
+
+module.exports = { FFMPEG_NEEDS, FfmpegError, resolveTool, runFfmpeg, runFfprobe, missingFeatures };
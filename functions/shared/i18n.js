@@ -0,0 +1,223 @@
+/* ───────── i18n.js ─────────
+ * Message catalog and language negotiation for server-rendered meta.
+ *
+ * Language priority per request:
+ *   1. ?lang=<code>             explicit, used by our hreflang alternates
+ *   2. the entity's language    event_language / event_locale
+ *   3. Accept-Language header   (response must then Vary on it)
+ *   4. DEFAULT_LANG
+ *
+ * An entity's bare URL always serves its home language: the stored language
+ * when there is one, else DEFAULT_LANG. Every other language lives at
+ * ?lang=<code>, so the hreflang set and canonicals agree (see localizedUrl).
+ */
+
+const DEFAULT_LANG = 'en';
+
+const MESSAGES = {
+  en: {
+    tagline          : 'Find events near you, for you.',
+    status_cancelled : 'Cancelled',
+    status_postponed : 'Postponed',
+    status_rescheduled: 'Rescheduled',
+    notice_cancelled : 'This event has been cancelled.',
+    notice_postponed : 'This event has been postponed.',
+    notice_rescheduled: 'This event has been rescheduled.',
+    ended            : 'Ended',
+    event_image_alt  : '{title} event preview',
+    event_video_name : '{title} Preview',
+    faq_cost_q       : 'How much does this event cost?',
+    faq_free         : 'This event is free!',
+    faq_age_q        : 'Is this event age-restricted?',
+    faq_age_yes      : 'Yes, this event is {age}+',
+    faq_age_no       : 'No, this event is open to all ages',
+    all_ages         : 'All ages',
+    free             : 'Free',
+    home             : 'Home',
+    events           : 'Events',
+    profile_title    : '{name} - Ville Profile',
+    profile_desc     : "View {name}'s profile on Ville - {counts}. {tagline}",
+    followers_one    : '{n} follower',
+    followers_other  : '{n} followers',
+    events_one       : '{n} event',
+    events_other     : '{n} events',
+    profile_image_alt: '{name} profile picture',
+    video            : 'Video',
+    video_of_event   : '{event} video',
+    video_by         : 'Video by {name}',
+    watch_creator    : "Watch {name}'s video",
+    watch_generic    : 'Watch this video',
+    watch_from_event : ' from {event}',
+    watch_on_ville   : ' on Ville - {tagline}',
+    not_found_event  : 'Event not found',
+    not_found_profile: 'Profile not found',
+    not_found_video  : 'Video not found',
+    gone_event       : 'Event no longer available',
+    gone_profile     : 'Profile no longer available',
+    gone_video       : 'Video no longer available',
+    not_found_desc   : "This page doesn't exist on Ville. {tagline}",
+    gone_desc        : 'This page has been removed from Ville. {tagline}',
+    listing_all      : 'Upcoming events',
+    listing_city     : 'Events in {place}',
+    listing_interest : '{interest} events',
+    listing_title    : '{heading} - Ville',
+    listing_desc     : '{heading} on Ville: {names}. {tagline}',
+    listing_empty    : 'No upcoming events yet. {tagline}',
+    open_in_ville    : 'Open in Ville'
+  },
+  es: {
+    tagline          : 'Encuentra eventos cerca de ti, para ti.',
+    status_cancelled : 'Cancelado',
+    status_postponed : 'Pospuesto',
+    status_rescheduled: 'Reprogramado',
+    notice_cancelled : 'Este evento ha sido cancelado.',
+    notice_postponed : 'Este evento ha sido pospuesto.',
+    notice_rescheduled: 'Este evento ha sido reprogramado.',
+    ended            : 'Finalizado',
+    event_image_alt  : 'Vista previa del evento {title}',
+    event_video_name : 'Vista previa de {title}',
+    faq_cost_q       : '¿Cuánto cuesta este evento?',
+    faq_free         : '¡Este evento es gratis!',
+    faq_age_q        : '¿Este evento tiene restricción de edad?',
+    faq_age_yes      : 'Sí, este evento es para mayores de {age} años',
+    faq_age_no       : 'No, este evento es para todas las edades',
+    all_ages         : 'Todas las edades',
+    free             : 'Gratis',
+    home             : 'Inicio',
+    events           : 'Eventos',
+    profile_title    : '{name} - Perfil en Ville',
+    profile_desc     : 'Mira el perfil de {name} en Ville - {counts}. {tagline}',
+    followers_one    : '{n} seguidor',
+    followers_other  : '{n} seguidores',
+    events_one       : '{n} evento',
+    events_other     : '{n} eventos',
+    profile_image_alt: 'Foto de perfil de {name}',
+    video            : 'Video',
+    video_of_event   : 'Video de {event}',
+    video_by         : 'Video de {name}',
+    watch_creator    : 'Mira el video de {name}',
+    watch_generic    : 'Mira este video',
+    watch_from_event : ' de {event}',
+    watch_on_ville   : ' en Ville - {tagline}',
+    not_found_event  : 'Evento no encontrado',
+    not_found_profile: 'Perfil no encontrado',
+    not_found_video  : 'Video no encontrado',
+    gone_event       : 'Evento no disponible',
+    gone_profile     : 'Perfil no disponible',
+    gone_video       : 'Video no disponible',
+    not_found_desc   : 'Esta página no existe en Ville. {tagline}',
+    gone_desc        : 'Esta página fue eliminada de Ville. {tagline}',
+    listing_all      : 'Próximos eventos',
+    listing_city     : 'Eventos en {place}',
+    listing_interest : 'Eventos de {interest}',
+    listing_title    : '{heading} - Ville',
+    listing_desc     : '{heading} en Ville: {names}. {tagline}',
+    listing_empty    : 'Aún no hay próximos eventos. {tagline}',
+    open_in_ville    : 'Abrir en Ville'
+  }
+};
+
+const SUPPORTED_LANGS = Object.keys(MESSAGES);
+
+// 'es-MX' / 'es_MX' / 'ES' → 'es' when supported, else ''
+const baseLang = tag => {
+  const l = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGS.includes(l) ? l : '';
+};
+
+/**
+ * Translate a message key, falling back to English, then the key itself.
+ * {name} placeholders are filled from params; {tagline} is always available.
+ * @param {string} lang
+ * @param {string} key
+ * @param {Object} [params]
+ */
+function t(lang, key, params = {}) {
+  const table = MESSAGES[lang] || MESSAGES[DEFAULT_LANG];
+  const msg   = table[key] ?? MESSAGES[DEFAULT_LANG][key] ?? key;
+  const vars  = { tagline: table.tagline, ...params };
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+// Count-aware variant: key_one / key_other
+function tn(lang, key, n) {
+  return t(lang, `${key}_${Number(n) === 1 ? 'one' : 'other'}`, { n });
+}
+
+/**
+ * Best supported language from an Accept-Language header, honouring q-values.
+ * @returns {string} '' when nothing acceptable is supported
+ */
+function fromAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...rest] = part.trim().split(';');
+      const q = rest.map(r => r.trim()).find(r => r.startsWith('q='));
+      return { lang: baseLang(tag), q: q ? Number(q.slice(2)) || 0 : 1, i };
+    })
+    .filter(x => x.lang && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)[0]?.lang || '';
+}
+
+/**
+ * Choose the response language (see priority at the top of the file).
+ * @param {Object} req          Express request
+ * @param {string} [entityLang] Language stored on the entity, if any
+ * @returns {{ lang: string, home: string, fromHeader: boolean }} home is the
+ *          language of the bare URL, for localizedUrl()
+ */
+function pickLanguage(req, entityLang) {
+  const stored   = baseLang(entityLang);
+  const home     = stored || DEFAULT_LANG;
+  const explicit = baseLang(req.query?.lang);
+  if (explicit) return { lang: explicit, home, fromHeader: false };
+  if (stored)   return { lang: stored, home, fromHeader: false };
+
+  const header = fromAcceptLanguage(req.headers?.['accept-language']);
+  return { lang: header || DEFAULT_LANG, home, fromHeader: true };
+}
+
+// Language a Firestore event was written in, if it says
+const eventLanguage = d => d?.event_language || d?.language || d?.event_locale || '';
+
+/**
+ * URL of a page in a given language: the home language keeps the bare
+ * canonical URL, others add ?lang=.
+ * @param {string} baseUrl
+ * @param {string} lang
+ * @param {string} [home] Language the bare URL serves (pickLanguage().home)
+ */
+function localizedUrl(baseUrl, lang, home = DEFAULT_LANG) {
+  return lang === home ? baseUrl : `${baseUrl}?lang=${encodeURIComponent(lang)}`;
+}
+
+/**
+ * Content-Language, plus Vary when the header picked the language so
+ * browser and proxy caches don't hand a Spanish page to an English browser.
+ * @param {Object} res    Express response
+ * @param {Object} choice Result of pickLanguage()
+ */
+function applyLanguageHeaders(res, { lang, fromHeader }) {
+  res.set('Content-Language', lang);
+  if (fromHeader) res.vary('Accept-Language');
+}
+
+/**
+ * Cache-Control for a page in the chosen language. Firebase Hosting's CDN
+ * ignores Vary on function responses, so a page whose language came from
+ * Accept-Language is only cached by the browser; ?lang= URLs and pages in
+ * their entity's language keep the shared policy.
+ * @param {Object} choice       Result of pickLanguage()
+ * @param {string} cacheControl Policy for a shared cache
+ */
+function languageCacheControl({ fromHeader }, cacheControl) {
+  if (!fromHeader || !/\bpublic\b/.test(cacheControl)) return cacheControl;
+  return cacheControl.replace(/\bpublic\b/, 'private').replace(/,\s*s-maxage=\d+/, '');
+}
+
+module.exports = {
+  DEFAULT_LANG, SUPPORTED_LANGS,
+  t, tn, pickLanguage, fromAcceptLanguage, eventLanguage, localizedUrl, applyLanguageHeaders,
+  languageCacheControl
+};
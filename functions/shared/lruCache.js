@@ -0,0 +1,48 @@
+/* ───────── lruCache.js ───────── */
+
+/**
+ * Tiny in-process LRU with per-entry TTL. Lives for the lifetime of the
+ * function instance, so it only ever saves work – never rely on a hit.
+ */
+class LruCache {
+  /**
+   * @param {number} max   Maximum number of entries
+   * @param {number} ttlMs Default time-to-live per entry
+   */
+  constructor(max = 500, ttlMs = 60 * 1000) {
+    this.max   = max;
+    this.ttlMs = ttlMs;
+    this.map   = new Map();
+  }
+
+  get(key) {
+    const hit = this.map.get(key);
+    if (!hit) return undefined;
+    if (hit.expires <= Date.now()) {
+      this.map.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.map.delete(key);
+    this.map.set(key, hit);
+    return hit.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    this.map.delete(key);
+    this.map.set(key, { value, expires: Date.now() + ttlMs });
+    while (this.map.size > this.max) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+}
+
+module.exports = { LruCache };
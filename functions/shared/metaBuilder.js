@@ -0,0 +1,121 @@
+/* ───────── metaBuilder.js ─────────
+ * One entry point for every shareable page head.
+ *
+ *   buildHead('event', eventDoc, { pageUrl })
+ *   buildHead('user',  userDoc,  { pageUrl, stats })
+ *   buildHead('video', videoDoc, { pageUrl, videoId, creator, event })
+ *   buildHead('listing', { listing, events, place, interest }, { pageUrl })
+ *
+ * An entity type is just a describe(data, ctx) function that maps a Firestore
+ * doc to a descriptor (title, description, image, video, jsonLd, deepLink …).
+ * The sections in metaSections.js turn that descriptor into HTML, so adding a
+ * new shareable type means writing one describer and calling registerEntity().
+ */
+const { THEME_COLOR, SITE_NAME, renderHead } = require('./metaSections');
+const { url: safeUrl, html, attr } = require('./escape');
+const { DEFAULT_LANG, SUPPORTED_LANGS, t, localizedUrl } = require('./i18n');
+const { DEFAULT_COUNTRY, localeFor, ogLocale } = require('./eventRegion');
+const { oembedUrl } = require('./oembed');
+
+// Entity types /oembed can resolve; their pages advertise it
+const OEMBED_TYPES = new Set(['event', 'user', 'video']);
+
+const entities = new Map();
+
+/**
+ * Register a describer for an entity type.
+ * @param {string}   type     e.g. 'event'
+ * @param {Function} describe (data, ctx) => descriptor
+ */
+function registerEntity(type, describe) {
+  entities.set(type, describe);
+}
+
+/**
+ * Run an entity's describer and add the cross-cutting bits (locale,
+ * hreflang alternates, oEmbed discovery). buildHead renders the result;
+ * /oembed reads it directly.
+ * @param {string} type Registered entity type
+ * @param {Object} data Firestore doc data
+ * @param {Object} ctx  { pageUrl, baseUrl, lang, home, …type-specific extras }
+ *                      baseUrl is the language-neutral canonical URL that
+ *                      hreflang alternates are derived from (defaults to pageUrl);
+ *                      home is the language baseUrl serves (pickLanguage().home)
+ */
+function describeEntity(type, data, ctx = {}) {
+  const describe = entities.get(type);
+  if (!describe) throw new Error(`Unknown meta entity type: ${type}`);
+
+  const lang    = ctx.lang || DEFAULT_LANG;
+  const m       = describe(data, { ...ctx, lang });
+  const baseUrl = ctx.baseUrl || ctx.pageUrl;
+  // Events bring their region (with event_locale); others just a country
+  const region  = m.region || { country: m.country || DEFAULT_COUNTRY };
+
+  m.locale           = ogLocale(localeFor(region, lang));
+  m.localeAlternates = SUPPORTED_LANGS.map(l => ({
+    lang    : l,
+    href    : localizedUrl(baseUrl, l, ctx.home),
+    ogLocale: ogLocale(localeFor(region, l))
+  }));
+  m.xDefault = baseUrl;
+  if (OEMBED_TYPES.has(type)) m.oembed = oembedUrl(ctx.pageUrl);
+  return m;
+}
+
+/**
+ * Build the <head> block for any registered entity type.
+ * Same arguments as describeEntity().
+ */
+function buildHead(type, data, ctx = {}) {
+  return renderHead(describeEntity(type, data, ctx));
+}
+
+/**
+ * Minimal head for a share URL that doesn't resolve to anything.
+ * Keeps crawlers from indexing it as a real page.
+ * @param {string}  kind      'event' | 'profile' | 'video'
+ * @param {string}  pageUrl   Canonical URL of this page
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.gone] It existed once but was removed (410)
+ * @param {string}  [opts.lang]
+ */
+function buildNotFoundHead(kind, pageUrl, { gone = false, lang = DEFAULT_LANG } = {}) {
+  const heading = t(lang, `${gone ? 'gone' : 'not_found'}_${kind}`);
+  const desc    = t(lang, gone ? 'gone_desc' : 'not_found_desc');
+  return `
+<meta charset="UTF-8">
+<title>${html(heading)} - ${SITE_NAME}</title>
+<meta name="description" content="${attr(desc)}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex,follow">
+<meta property="og:title" content="${attr(heading)} - ${SITE_NAME}">
+<meta property="og:url"   content="${safeUrl(pageUrl)}">
+<meta property="og:site_name" content="${SITE_NAME}">
+<meta name="theme-color" content="${THEME_COLOR}">
+`.trim();
+}
+
+/**
+ * Strip the shell's own head tags that we override, then inject ours right
+ * after <head> so crawlers that stop reading early still see them.
+ * @param {string} html Upstream index.html
+ * @param {string} head Head block from buildHead / buildNotFoundHead
+ */
+function injectHead(html, head) {
+  return html
+    .replace(/<meta name=["']theme-color["'][^>]*>/gi, '')
+    .replace(/<meta property=["']og:[^"']+["'][^>]*>/gi, '')
+    .replace(/<meta name=["']twitter:[^"']+["'][^>]*>/gi, '')
+    .replace(/<meta name=["']description["'][^>]*>/gi, '')
+    .replace(/<meta name=["']keywords["'][^>]*>/gi, '')
+    .replace(/<title>[^<]*<\/title>/i, '')
+    .replace(/<head[^>]*>/i, (match) => `${match}\n  ${head}\n`);
+}
+
+registerEntity('event', require('./buildRichMeta').describeEvent);
+registerEntity('user',  require('./buildUserMeta').describeUser);
+registerEntity('video', require('./buildVideoMeta').describeVideo);
+registerEntity('listing', require('./buildListingMeta').describeListing);
+
+module.exports = { buildHead, describeEntity, buildNotFoundHead, injectHead, registerEntity, renderHead };
@@ -0,0 +1,234 @@
+/* ───────── metaSections.js ─────────
+ * Reusable <head> sections shared by every shareable entity type.
+ * Each renderer takes plain values and returns an HTML string ('' when the
+ * section doesn't apply), so builders can compose them in priority order.
+ */
+const IOS_APP_ID    = process.env.VILLE_IOS_APP_ID  || '6618138529';
+const ANDROID_PKG   = process.env.VILLE_ANDROID_PKG || 'com.ville.ville';
+const SITE_URL      = 'https://ville.social';
+const SITE_NAME     = 'Ville';
+const THEME_COLOR   = '#FFAB31';
+const MAX_DESC      = 160;
+const DEFAULT_IMAGE = 'https://ville.social/assets/assets/images/Ville_share-image.jpg';
+
+const { clean, html, attr, url: safeUrl, jsonScript, jsString } = require('./escape');
+
+const iso      = ts => ts?.toDate ? ts.toDate().toISOString() : '';
+const truncate = (s, max = MAX_DESC) => s.length > max ? s.slice(0, max - 1) + '…' : s;
+
+// Seconds → ISO-8601 duration ("PT1M5.5S"); '' when unknown
+const isoDuration = secs => {
+  const n = Number(secs);
+  if (!Number.isFinite(n) || n <= 0) return '';
+  const m = Math.floor(n / 60);
+  const s = Math.round((n - m * 60) * 10) / 10;
+  return `PT${m ? `${m}M` : ''}${s ? `${s}S` : ''}` || 'PT0S';
+};
+
+const lines = (...xs) => xs.filter(Boolean).join('\n');
+
+/* ---------- Essential SEO ---------- */
+function essentialTags({ title, summary }) {
+  return lines(
+    '<!-- Essential SEO Meta Tags (First Priority) -->',
+    '<meta charset="UTF-8">',
+    `<title>${html(title)}</title>`,
+    `<meta name="description" content="${attr(summary)}">`,
+    '<meta name="viewport" content="width=device-width, initial-scale=1">'
+  );
+}
+
+/* ---------- Open Graph ---------- */
+function openGraphTags({ title, description, url, ogType, locale = 'en_US', localeAlternates = [], image, video, ogExtra = [] }) {
+  return lines(
+    '<!-- Open Graph Meta Tags (Second Priority - Critical for Social Media) -->',
+    `<meta property="og:title"       content="${attr(title)}">`,
+    `<meta property="og:description" content="${attr(description)}">`,
+    image?.url && `<meta property="og:image"       content="${safeUrl(image.url)}">`,
+    `<meta property="og:url"         content="${safeUrl(url)}">`,
+    `<meta property="og:type"        content="${attr(ogType)}">`,
+    `<meta property="og:site_name"   content="${SITE_NAME}">`,
+    `<meta property="og:locale"      content="${attr(locale)}">`,
+    ...localeAlternates
+      .filter(a => a.ogLocale !== locale)
+      .map(a => `<meta property="og:locale:alternate" content="${attr(a.ogLocale)}">`),
+    image?.width  && `<meta property="og:image:width"  content="${attr(image.width)}">`,
+    image?.height && `<meta property="og:image:height" content="${attr(image.height)}">`,
+    image?.alt    && `<meta property="og:image:alt"    content="${attr(image.alt)}">`,
+    ...ogExtra.map(([prop, content]) => `<meta property="${attr(prop)}" content="${attr(content)}">`),
+    video?.url && lines(
+      '',
+      '<!-- Open Graph Video Tags (for platforms that support video previews) -->',
+      `<meta property="og:video"             content="${safeUrl(video.url)}">`,
+      `<meta property="og:video:url"         content="${safeUrl(video.url)}">`,
+      `<meta property="og:video:secure_url"  content="${safeUrl(video.url)}">`,
+      `<meta property="og:video:type"        content="${attr(video.type || 'video/mp4')}">`,
+      video.width  && `<meta property="og:video:width"       content="${attr(video.width)}">`,
+      video.height && `<meta property="og:video:height"      content="${attr(video.height)}">`,
+      video.duration && `<meta property="video:duration"     content="${attr(video.duration)}">`
+    )
+  );
+}
+
+/* ---------- Twitter ---------- */
+function twitterTags({ title, description, image, twitter = {} }) {
+  const { card = 'summary_large_image', player } = twitter;
+  return lines(
+    '<!-- Twitter Card Meta Tags (Third Priority) -->',
+    `<meta name="twitter:card"        content="${attr(card)}">`,
+    `<meta name="twitter:title"       content="${attr(title)}">`,
+    `<meta name="twitter:description" content="${attr(description)}">`,
+    image?.url && `<meta name="twitter:image"       content="${safeUrl(image.url)}">`,
+    image?.alt && `<meta name="twitter:image:alt"   content="${attr(image.alt)}">`,
+    player?.url && lines(
+      '',
+      '<!-- Twitter Video Player Card -->',
+      `<meta name="twitter:player"             content="${safeUrl(player.url)}">`,
+      player.width  && `<meta name="twitter:player:width"       content="${attr(player.width)}">`,
+      player.height && `<meta name="twitter:player:height"      content="${attr(player.height)}">`,
+      player.stream && `<meta name="twitter:player:stream"      content="${safeUrl(player.stream)}">`,
+      player.stream && '<meta name="twitter:player:stream:content_type" content="video/mp4">'
+    )
+  );
+}
+
+/* ---------- Canonical / robots / keywords ---------- */
+function seoTags({ url, canonical, alternates = [], localeAlternates = [], xDefault, oembed, title, robots, keywords, author }) {
+  return lines(
+    '<!-- Additional SEO Meta Tags -->',
+    `<link rel="canonical" href="${safeUrl(canonical || url)}">`,
+    ...localeAlternates.map(a => `<link rel="alternate" href="${safeUrl(a.href)}" hreflang="${attr(a.lang)}">`),
+    xDefault && `<link rel="alternate" href="${safeUrl(xDefault)}" hreflang="x-default">`,
+    ...alternates.map(a => `<link rel="alternate" href="${safeUrl(a.href)}" hreflang="${attr(a.hreflang)}">`),
+    oembed && `<link rel="alternate" type="application/json+oembed" href="${safeUrl(oembed)}" title="${attr(title)}">`,
+    `<meta name="robots" content="${attr(robots || 'index,follow,max-image-preview:large')}">`,
+    keywords && `<meta name="keywords" content="${attr(keywords)}">`,
+    author && `<meta name="author" content="${attr(author)}">`
+  );
+}
+
+/* ---------- Extra name/content pairs (geo, AI/LLM hints …) ---------- */
+function namedMetaTags(pairs = [], heading) {
+  const tags = pairs
+    .filter(([, content]) => content !== undefined && content !== null && content !== '')
+    .map(([name, content]) => `<meta name="${attr(name)}" content="${attr(content)}">`);
+  if (!tags.length) return '';
+  return lines(heading && `<!-- ${heading} -->`, ...tags);
+}
+
+/* ---------- Structured data ---------- */
+function jsonLdScripts(objects = []) {
+  if (!objects.length) return '';
+  return lines(
+    '<!-- Structured Data (JSON-LD) -->',
+    ...objects.map(o => `<script type="application/ld+json">${jsonScript(o)}</script>`)
+  );
+}
+
+/* ---------- App Links / smart banners ---------- */
+function appLinkTags(deepLink) {
+  if (!deepLink) return '';
+  const link = safeUrl(deepLink);
+  return lines(
+    '<!-- Deep-link banners -->',
+    `<meta property="al:ios:app_store_id" content="${IOS_APP_ID}">`,
+    `<meta property="al:ios:url"          content="${link}">`,
+    `<meta name="apple-itunes-app"        content="app-id=${IOS_APP_ID}, app-argument=${link}">`,
+    `<meta property="al:android:package"  content="${ANDROID_PKG}">`,
+    `<meta property="al:android:url"      content="${link}">`,
+    `<meta name="google-play-app"         content="app-id=${ANDROID_PKG}">`,
+    '',
+    '<!-- App Store Links -->',
+    `<link rel="alternate" href="https://apps.apple.com/app/id${IOS_APP_ID}">`,
+    `<link rel="alternate" href="https://play.google.com/store/apps/details?id=${ANDROID_PKG}">`
+  );
+}
+
+/* ---------- Preconnect / theme / icons ---------- */
+function themeTags({ preconnect = false } = {}) {
+  return lines(
+    preconnect && lines(
+      '<!-- Performance & Security Headers -->',
+      '<link rel="preconnect" href="https://firebasestorage.googleapis.com">',
+      '<link rel="dns-prefetch" href="https://firebasestorage.googleapis.com">',
+      ''
+    ),
+    '<!-- Theme and Icons -->',
+    `<meta name="theme-color" content="${THEME_COLOR}">`,
+    '<link rel="icon" href="/favicon.ico">',
+    '<link rel="apple-touch-icon" href="/apple-touch-icon.png">'
+  );
+}
+
+/* ---------- Deep-link auto-redirect ---------- */
+function redirectScript(deepLink) {
+  if (!deepLink) return '';
+  return `<!-- Deep Link Auto-Redirect Script -->
+<script>
+(function() {
+  var deepLink = ${jsString(deepLink)};
+  var isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+  var isAndroid = /Android/.test(navigator.userAgent);
+
+  if ((isIOS || isAndroid) && deepLink) {
+    var startTime = Date.now();
+    var appOpened = false;
+
+    // Create invisible iframe to attempt deep link
+    var iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    iframe.src = deepLink;
+    document.body.appendChild(iframe);
+
+    // Also try direct location change for some browsers
+    setTimeout(function() {
+      window.location.href = deepLink;
+    }, 100);
+
+    // Check if app opened (browser will lose focus)
+    var checkInterval = setInterval(function() {
+      if (document.hidden || document.webkitHidden) {
+        appOpened = true;
+        clearInterval(checkInterval);
+      }
+    }, 200);
+
+    // Fallback: if app didn't open after 2.5 seconds, stay on web
+    setTimeout(function() {
+      clearInterval(checkInterval);
+      if (!appOpened && (Date.now() - startTime) < 3000) {
+        if (iframe.parentNode) {
+          iframe.parentNode.removeChild(iframe);
+        }
+      }
+    }, 2500);
+  }
+})();
+</script>`;
+}
+
+/**
+ * Render an entity descriptor into the full <head> inner-HTML.
+ * @param {Object} m Descriptor returned by an entity describer
+ */
+function renderHead(m) {
+  const summary = m.summary || truncate(m.description);
+  return [
+    essentialTags({ title: m.title, summary }),
+    openGraphTags(m),
+    twitterTags(m),
+    seoTags(m),
+    namedMetaTags(m.namedMeta, m.namedMetaHeading),
+    jsonLdScripts(m.jsonLd),
+    appLinkTags(m.deepLink),
+    themeTags({ preconnect: m.preconnect }),
+    redirectScript(m.deepLink)
+  ].filter(Boolean).join('\n\n').trim();
+}
+
+module.exports = {
+  IOS_APP_ID, ANDROID_PKG, SITE_URL, SITE_NAME, THEME_COLOR, MAX_DESC, DEFAULT_IMAGE,
+  clean, iso, isoDuration, truncate,
+  essentialTags, openGraphTags, twitterTags, seoTags, namedMetaTags,
+  jsonLdScripts, appLinkTags, themeTags, redirectScript, renderHead
+};
@@ -0,0 +1,126 @@
+/* ───────── oembed.js ─────────
+ * oEmbed (https://oembed.com) for Ville share URLs.
+ *
+ *   GET /oembed?url=https://ville.social/event/<eventID>&format=json
+ *
+ *   /event/<eventID>  → type "rich"   iframe of /embed/event/<eventID>
+ *   /v/<videoId>      → type "video"  inline <video> player
+ *   /u/<username>     → type "photo"  profile picture
+ *
+ * Payloads are built from the same head descriptors the meta routes render,
+ * so an embed always says what the share preview says.
+ */
+const { SITE_URL, SITE_NAME, THEME_COLOR, clean } = require('./metaSections');
+const { html, attr, url: safeUrl } = require('./escape');
+const { pathKey } = require('./requestPath');
+
+const OEMBED_ENDPOINT = `${SITE_URL}/oembed`;
+const SHARE_HOSTS     = new Set(['ville.social', 'www.ville.social']);
+const CACHE_AGE       = 3600;
+
+// URL path segment → entity type used by buildHead
+const SEGMENTS = { event: 'event', u: 'user', v: 'video' };
+
+// Default (and maximum) rendered size per type, before maxwidth/maxheight
+const SIZES = {
+  event: { width: 480, height: 400 },
+  user : { width: 400, height: 400 },
+  video: { width: 360, height: 640 }
+};
+
+// "Jazz Night - Ville - Find events…" → "Jazz Night"
+const shortTitle = m => clean(m.title).replace(/ - Ville( - .*)?$/, '');
+
+/** Discovery URL for a share page. */
+const oembedUrl = pageUrl => `${OEMBED_ENDPOINT}?url=${encodeURIComponent(pageUrl)}&format=json`;
+
+/**
+ * Which entity an embed URL points at.
+ * @param {string} raw Consumer-supplied ?url=
+ * @returns {{ type: string, key: string, lang: string } | null}
+ */
+function parseShareUrl(raw) {
+  let u;
+  try { u = new URL(String(raw || '')); } catch { return null; }
+  if (!/^https?:$/.test(u.protocol) || !SHARE_HOSTS.has(u.hostname.toLowerCase())) return null;
+
+  const segment = u.pathname.split('/')[1];
+  const type    = SEGMENTS[segment];
+  if (!type) return null;
+
+  let key = pathKey({ path: u.pathname }, segment);
+  if (type === 'user') key = key.replace(/^@/, '');
+  return key ? { type, key, lang: u.searchParams.get('lang') || '' } : null;
+}
+
+// Largest size within the defaults and the consumer's maxwidth/maxheight, keeping aspect
+function fitSize({ width, height }, { maxwidth, maxheight } = {}) {
+  const mw = Number(maxwidth)  > 0 ? Number(maxwidth)  : width;
+  const mh = Number(maxheight) > 0 ? Number(maxheight) : height;
+  const scale = Math.min(1, mw / width, mh / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Self-contained card; inline styles only, since it lands on someone else's page
+function cardHtml(m, { width }) {
+  const title = shortTitle(m);
+  return [
+    `<blockquote class="ville-embed" style="margin:0;max-width:${width}px;border:1px solid #e5e5e5;border-radius:12px;overflow:hidden;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;background:#fff">`,
+    `<a href="${safeUrl(m.url)}" target="_blank" rel="noopener" style="color:inherit;text-decoration:none;display:block">`,
+    m.image?.url && `<img src="${safeUrl(m.image.url)}" alt="${attr(m.image.alt || title)}" style="display:block;width:100%;height:auto">`,
+    '<div style="padding:12px 16px">',
+    `<strong style="display:block;font-size:16px;line-height:1.3">${html(title)}</strong>`,
+    m.summary && `<span style="display:block;margin-top:4px;font-size:14px;color:#555">${html(m.summary)}</span>`,
+    `<span style="display:block;margin-top:8px;font-size:13px;font-weight:600;color:${THEME_COLOR}">${SITE_NAME}</span>`,
+    '</div></a></blockquote>'
+  ].filter(Boolean).join('');
+}
+
+function iframeHtml(src, title, { width, height }) {
+  return `<iframe src="${safeUrl(src)}" width="${width}" height="${height}" title="${attr(title)}" style="border:0" loading="lazy"></iframe>`;
+}
+
+function videoHtml(m, { width, height }) {
+  return `<video src="${safeUrl(m.video.url)}" poster="${safeUrl(m.image?.url)}" width="${width}" height="${height}" controls playsinline preload="none"></video>`;
+}
+
+/**
+ * oEmbed JSON for a head descriptor.
+ * @param {string} type   'event' | 'user' | 'video'
+ * @param {Object} m      Descriptor from describeEntity()
+ * @param {Object} [opts] { maxwidth, maxheight, authorUrl, embedUrl }
+ *                        embedUrl: framed card page; without it the card is inline HTML
+ */
+function oembedPayload(type, m, { maxwidth, maxheight, authorUrl, embedUrl } = {}) {
+  const base = {
+    version      : '1.0',
+    provider_name: SITE_NAME,
+    provider_url : SITE_URL,
+    title        : shortTitle(m),
+    author_name  : m.author || undefined,
+    author_url   : authorUrl || undefined,
+    cache_age    : CACHE_AGE
+  };
+  // The spec wants all three thumbnail fields or none
+  if (m.image?.url && m.image.width && m.image.height) {
+    base.thumbnail_url    = m.image.url;
+    base.thumbnail_width  = m.image.width;
+    base.thumbnail_height = m.image.height;
+  }
+
+  if (type === 'video' && m.video?.url) {
+    const size = fitSize(SIZES.video, { maxwidth, maxheight });
+    return { ...base, type: 'video', ...size, html: videoHtml(m, size) };
+  }
+
+  if (type === 'user' && m.image?.url) {
+    const size = fitSize(SIZES.user, { maxwidth, maxheight });
+    return { ...base, type: 'photo', url: m.image.url, ...size };
+  }
+
+  const size = fitSize(SIZES[type] || SIZES.event, { maxwidth, maxheight });
+  const html = embedUrl ? iframeHtml(embedUrl, base.title, size) : cardHtml(m, size);
+  return { ...base, type: 'rich', ...size, html };
+}
+
+module.exports = { OEMBED_ENDPOINT, oembedUrl, parseShareUrl, oembedPayload };
@@ -0,0 +1,155 @@
+/* ───────── ogCard.js ─────────
+ * 1200x630 Open Graph card per event, rendered with ffmpeg:
+ *
+ *   ┌──────────────────────────────┬──────────────┐
+ *   │ [logo]                       │              │
+ *   │ Event title, up to           │    event     │
+ *   │ two lines                    │    photo     │
+ *   │ Sat, Mar 1 · 7:00 PM MST     │   (cover)    │
+ *   │ Venue                        │              │
+ *   │ $10–$25                      │              │
+ *   └──────────────────────────────┴──────────────┘
+ *          Ville orange                480 px
+ *
+ * Text goes through drawtext textfile= with expansion off, so event fields
+ * never need filter-graph escaping. Fonts and logo live in the bucket next
+ * to overlays/logo.png (see OG_CARD_ASSETS).
+ *
+ * The card is keyed by a hash of everything drawn on it; the trigger skips
+ * events whose og_card_hash already matches, which also makes its own write
+ * a no-op the next time round. A card drawn without its photo (the download
+ * failed) hashes as text-only, so a later try with the photo still renders.
+ */
+const crypto    = require('crypto');
+const fs        = require('fs/promises');
+const { join }  = require('path');
+const { THEME_COLOR } = require('./metaSections');
+const { eventFacts } = require('./buildRichMeta');
+const { eventLanguage } = require('./i18n');
+
+// Bump to re-render every card after a layout change
+const OG_CARD_VERSION = 1;
+
+const OG_WIDTH  = 1200;
+const OG_HEIGHT = 630;
+const PHOTO_W   = 480;
+const PAD       = 56;
+
+const OG_CARD_ASSETS = {
+  logo    : 'overlays/logo.png',
+  font    : 'overlays/og-font.ttf',
+  fontBold: 'overlays/og-font-bold.ttf'
+};
+
+const TEXT_COLOR  = '0x1A1A1A';
+const ffmpegColor = hex => `0x${hex.replace('#', '')}`;
+
+/**
+ * Greedy word wrap to at most maxLines lines, ellipsising what's left over.
+ * @param {string} text
+ * @param {number} maxChars Per line
+ * @param {number} maxLines
+ */
+function wrapLines(text, maxChars, maxLines) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  let i = 0;
+  for (; i < words.length; i++) {
+    const word = words[i].length > maxChars ? `${words[i].slice(0, maxChars - 1)}…` : words[i];
+    const next = current ? `${current} ${word}` : word;
+    if (next.length <= maxChars) { current = next; continue; }
+    lines.push(current);
+    current = word;
+    if (lines.length === maxLines) break;
+  }
+  if (i === words.length) {
+    if (current) lines.push(current);
+  } else {
+    // Ran out of lines with words left over
+    const last = lines[maxLines - 1];
+    lines[maxLines - 1] = last.length >= maxChars ? `${last.slice(0, maxChars - 1)}…` : `${last}…`;
+  }
+  return lines;
+}
+
+/**
+ * Everything drawn on an event's card, plus the hash that identifies it.
+ * @param {Object} d Firestore event doc
+ * @param {{ photo?: boolean }} [opts] photo: false lays out the text-only card
+ * @returns {{ hash: string, photoUrl: string, title: string[], details: string[] }}
+ */
+function ogCardSource(d, { photo = true } = {}) {
+  const f = eventFacts(d, eventLanguage(d) || undefined);
+  const photoUrl = d.event_photo || d.event_image || d.event_preview_image || '';
+  const hasPhoto = photo && /^https?:\/\//i.test(photoUrl);
+
+  const title   = wrapLines(`${f.label ? `${f.label}: ` : ''}${f.titleRaw || 'Ville'}`, hasPhoto ? 20 : 32, 2);
+  const details = [f.whenLine, f.venue, f.isFree ? '' : f.priceText]
+    .filter(Boolean)
+    .map(s => wrapLines(s, hasPhoto ? 34 : 56, 1)[0]);
+
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([OG_CARD_VERSION, title, details, hasPhoto ? photoUrl : '']))
+    .digest('hex');
+
+  return { hash, photoUrl: hasPhoto ? photoUrl : '', title, details };
+}
+
+/**
+ * Write the text files and return the ffmpeg arguments for a card.
+ * @param {Object} src     From ogCardSource()
+ * @param {Object} paths   { workDir, photo?, logo, font, fontBold, out }
+ * @returns {Promise<string[]>}
+ */
+async function ogCardArgs(src, { workDir, photo, logo, font, fontBold, out }) {
+  const textW = photo ? OG_WIDTH - PHOTO_W : OG_WIDTH;
+
+  // One file per line: drawtext can't wrap and we want exact line spacing
+  const drawn = [];
+  let y = 190;
+  for (const [i, line] of src.title.entries()) {
+    const file = join(workDir, `title-${i}.txt`);
+    await fs.writeFile(file, line);
+    drawn.push({ file, font: fontBold, size: 60, y });
+    y += 74;
+  }
+  y += 24;
+  for (const [i, line] of src.details.entries()) {
+    const file = join(workDir, `detail-${i}.txt`);
+    await fs.writeFile(file, line);
+    drawn.push({ file, font, size: 34, y });
+    y += 50;
+  }
+
+  const inputs = ['-f', 'lavfi', '-i', `color=c=${ffmpegColor(THEME_COLOR)}:s=${OG_WIDTH}x${OG_HEIGHT}`, '-i', logo];
+  const graph  = [`[1]scale=-1:64[lg]`, `[0][lg]overlay=${PAD}:${PAD}[b0]`];
+  let last = 'b0';
+
+  if (photo) {
+    inputs.push('-i', photo);
+    graph.push(
+      `[2]scale=${PHOTO_W}:${OG_HEIGHT}:force_original_aspect_ratio=increase,crop=${PHOTO_W}:${OG_HEIGHT}[ph]`,
+      `[${last}][ph]overlay=${textW}:0[b1]`
+    );
+    last = 'b1';
+  }
+
+  graph.push(`[${last}]` + drawn.map(d =>
+    `drawtext=fontfile=${d.font}:textfile=${d.file}:expansion=none:` +
+    `fontcolor=${TEXT_COLOR}:fontsize=${d.size}:x=${PAD}:y=${d.y}`
+  ).join(','));
+
+  return [
+    ...inputs,
+    '-filter_complex', graph.join(';'),
+    '-frames:v', '1',
+    '-q:v', '3',
+    '-y', out
+  ];
+}
+
+module.exports = {
+  OG_CARD_VERSION, OG_WIDTH, OG_HEIGHT, OG_CARD_ASSETS,
+  wrapLines, ogCardSource, ogCardArgs
+};
@@ -0,0 +1,105 @@
+/* ───────── photoFetch.js ─────────
+ * Download a photo whose URL came from an event doc (the og card's photo)
+ * without letting that URL point the function anywhere else:
+ *
+ *   • https only, no redirects
+ *   • host must be our bucket or on PHOTO_HOSTS
+ *   • every address the host resolves to must be public (checked at connect
+ *     time, so DNS rebinding can't slip past)
+ *   • at most MAX_PHOTO_BYTES, within timeoutMs
+ *
+ *   VILLE_PHOTO_HOSTS  extra CDN hosts, comma separated; '.example.com'
+ *                      also allows its subdomains
+ */
+const dns   = require('dns');
+const net   = require('net');
+const https = require('https');
+const fs    = require('fs/promises');
+const { sourceObjectPath } = require('./previewSource');
+
+const fetch = (...a) => import('node-fetch').then(({default:f}) => f(...a));
+
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+const PHOTO_HOSTS = (process.env.VILLE_PHOTO_HOSTS || 'ville.social,.ville.social')
+  .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// Loopback, private, link-local, CGNAT, multicast, reserved…
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([ip, bits]) => NON_PUBLIC.addSubnet(ip, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([ip, bits]) => NON_PUBLIC.addSubnet(ip, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable.
+ * @param {string} address
+ */
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a photo URL may be fetched at all (before any DNS).
+ * @param {string} photoUrl
+ * @param {string} bucketName Our default bucket
+ */
+function photoAllowed(photoUrl, bucketName) {
+  let u;
+  try { u = new URL(String(photoUrl || '')); }
+  catch { return false; }
+  if (u.protocol !== 'https:' || u.username || u.password || (u.port && u.port !== '443')) return false;
+
+  try {
+    sourceObjectPath(u.href, bucketName);
+    return true;
+  } catch { /* not our bucket */ }
+
+  const host = u.hostname.toLowerCase();
+  return PHOTO_HOSTS.some(h => h.startsWith('.') ? host.endsWith(h) : host === h);
+}
+
+// dns.lookup that refuses non-public answers
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => !isPublicAddress(a.address));
+    if (bad || !addresses.length) {
+      return callback(new Error(`${hostname} resolves to a non-public address${bad ? ` (${bad.address})` : ''}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Download a photo to `destination`; rejects when the URL isn't allowed,
+ * redirects, is too big or too slow.
+ * @param {string} photoUrl
+ * @param {string} destination Local path
+ * @param {{ bucketName: string, timeoutMs?: number }} opts
+ */
+async function downloadPhoto(photoUrl, destination, { bucketName, timeoutMs = 10000 }) {
+  if (!photoAllowed(photoUrl, bucketName)) throw new Error('photo host not allowed');
+
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(photoUrl, { agent, redirect: 'error', size: MAX_PHOTO_BYTES, signal: ctrl.signal });
+    if (!r.ok) throw new Error(`photo HTTP ${r.status}`);
+    if (Number(r.headers.get('content-length')) > MAX_PHOTO_BYTES) throw new Error('photo too large');
+    await fs.writeFile(destination, Buffer.from(await r.arrayBuffer()));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { MAX_PHOTO_BYTES, isPublicAddress, photoAllowed, downloadPhoto };
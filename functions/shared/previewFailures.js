@@ -0,0 +1,173 @@
+/* ───────── previewFailures.js ─────────
+ * What happens when a preview render fails.
+ *
+ * Every step of the render surfaces a PreviewError with an errorClass
+ * (source | download | ffmpeg | upload | firestore | internal) and whether
+ * it is worth retrying. The failure is recorded on the event:
+ *
+ *   preview_status    'failed'
+ *   preview_attempts  3
+ *   preview_error     { class, code, message, transient, attempt, stderr_tail, at }
+ *   preview_retry_at  when the next attempt is queued (absent otherwise)
+ *
+ * Transient failures are retried through the retryPreviewAssets task queue
+ * with growing delays, up to MAX_PREVIEW_ATTEMPTS in all. After the last
+ * one the event goes to previewDeadLetters and an eventHealthAlerts doc,
+ * which sendEventHealthEmail turns into an email. Rejected uploads (class
+ * 'source', see previewSource.js) are the creator's to fix and stay on the
+ * event only.
+ */
+const admin     = require('firebase-admin');
+const { SITE_URL } = require('./metaSections');
+
+const ERROR_CLASS = {
+  SOURCE   : 'source',
+  DOWNLOAD : 'download',
+  FFMPEG   : 'ffmpeg',
+  UPLOAD   : 'upload',
+  FIRESTORE: 'firestore',
+  INTERNAL : 'internal'
+};
+
+const MAX_PREVIEW_ATTEMPTS   = 3;
+const RETRY_DELAYS_SECONDS   = [60, 300];     // after attempt 1, after attempt 2
+const PREVIEW_RETRY_QUEUE    = 'retryPreviewAssets';
+const DEAD_LETTER_COLLECTION = 'previewDeadLetters';
+const PREVIEW_ALERT_TYPE     = 'preview_failure';
+
+class PreviewError extends Error {
+  /**
+   * @param {string} errorClass One of ERROR_CLASS
+   * @param {string} message
+   * @param {{ code?: string, transient?: boolean, stderrTail?: string, cause?: Error }} [opts]
+   */
+  constructor(errorClass, message, { code = null, transient = false, stderrTail = '', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name       = 'PreviewError';
+    this.errorClass = errorClass;
+    this.code       = code;
+    this.transient  = transient;
+    this.stderrTail = stderrTail;
+  }
+}
+
+// HTTP statuses (GCS), gRPC codes (Firestore) and socket errors worth another go
+const TRANSIENT_CODES = new Set([
+  408, 429, 500, 502, 503, 504,
+  4, 8, 10, 14,                  // DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, UNAVAILABLE
+  'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'
+]);
+
+const isTransient = err => TRANSIENT_CODES.has(err?.code) || TRANSIENT_CODES.has(err?.response?.status);
+
+/**
+ * Tag whatever a step throws with its error class. FfmpegErrors (ffmpeg.js)
+ * bring their own transient flag and stderr tail.
+ * @param {string}  errorClass
+ * @param {Promise} promise
+ */
+function step(errorClass, promise) {
+  return promise.catch(err => {
+    if (err instanceof PreviewError) throw err;
+    throw new PreviewError(errorClass, err?.message || String(err), {
+      transient : typeof err?.transient === 'boolean' ? err.transient : isTransient(err),
+      stderrTail: err?.stderrTail || '',
+      cause     : err
+    });
+  });
+}
+
+/**
+ * Plain-object summary of a failure, for the event and the dead letter.
+ * @param {Error} err
+ */
+function failureInfo(err) {
+  const e = err instanceof PreviewError
+    ? err
+    : new PreviewError(ERROR_CLASS.INTERNAL, err?.message || String(err), { transient: isTransient(err) });
+  return {
+    class      : e.errorClass,
+    code       : e.code || null,
+    message    : String(e.message).slice(0, 500),
+    transient  : e.transient,
+    stderr_tail: e.stderrTail || ''
+  };
+}
+
+/**
+ * Seconds to wait before the next attempt, or null when there shouldn't be one.
+ * @param {Object} info    From failureInfo()
+ * @param {number} attempt The attempt that just failed (1-based)
+ */
+function retryDelay(info, attempt) {
+  if (!info.transient || attempt >= MAX_PREVIEW_ATTEMPTS) return null;
+  return RETRY_DELAYS_SECONDS[Math.min(attempt, RETRY_DELAYS_SECONDS.length) - 1];
+}
+
+/**
+ * Task id for the retry after a failed claim. Cloud Tasks keeps an id taken
+ * for a while after its task ran, so the claim id goes in: a later failure
+ * of the same source and attempt number still gets its own retry.
+ * @param {string} docId
+ * @param {Object} claim From claimPreview()
+ */
+function retryTaskId(docId, claim) {
+  return `preview-${docId.replace(/[^\w-]/g, '_').slice(0, 100)}-${claim.key.slice(0, 12)}-${claim.attempt}-${claim.id}`;
+}
+
+/** Whether an enqueue failed only because that task is already queued. */
+const alreadyQueued = err =>
+  err?.code === 'functions/task-already-exists' || err?.code === 6 || err?.response?.status === 409;
+
+/** Whether a final failure should reach the dead-letter collection and email. */
+const needsAttention = info => info.class !== ERROR_CLASS.SOURCE;
+
+/**
+ * Park a preview that ran out of attempts and raise a health alert for it.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} docId
+ * @param {Object} event   Firestore event doc
+ * @param {Object} claim   From claimPreview()
+ * @param {Object} info    From failureInfo()
+ */
+async function deadLetterPreview(db, docId, event, claim, info) {
+  const eventId = event.eventID || docId;
+  const batch   = db.batch();
+
+  batch.set(db.collection(DEAD_LETTER_COLLECTION).doc(docId), {
+    docId,
+    eventId,
+    title       : event.event_title || '',
+    source_video: event.event_video || '',
+    source_key  : claim.key,
+    attempts    : claim.attempt,
+    error       : info,
+    timestamp   : admin.firestore.FieldValue.serverTimestamp(),
+    resolved    : false
+  });
+
+  batch.set(db.collection('eventHealthAlerts').doc(), {
+    type        : PREVIEW_ALERT_TYPE,
+    eventId,
+    docId,
+    eventUrl    : `${SITE_URL}/event/${encodeURIComponent(eventId)}`,
+    error       : `${info.class}: ${info.message}`,
+    errorClass  : info.class,
+    stderrTail  : info.stderr_tail,
+    attempts    : claim.attempt,
+    deadLetterId: docId,
+    eventData   : {
+      title    : event.event_title || 'Unknown',
+      createdAt: event.created_time || 'Unknown'
+    },
+    timestamp   : admin.firestore.FieldValue.serverTimestamp(),
+    resolved    : false
+  });
+
+  await batch.commit();
+}
+
+module.exports = {
+  ERROR_CLASS, MAX_PREVIEW_ATTEMPTS, PREVIEW_RETRY_QUEUE, DEAD_LETTER_COLLECTION, PREVIEW_ALERT_TYPE,
+  PreviewError, step, failureInfo, retryDelay, retryTaskId, alreadyQueued, needsAttention, deadLetterPreview
+};
@@ -0,0 +1,181 @@
+/* ───────── previewProfiles.js ─────────
+ * Named looks for the event preview clips. processPreviewAssets renders
+ * with one of these and records which (and which version) on the event:
+ *
+ *   preview_profile          'default'
+ *   preview_profile_version  4
+ *
+ * Changing the look is an edit here plus a version bump; then
+ * `node regenerateAllEventPreviews.js` re-renders only the events whose
+ * recorded version is older.
+ *
+ * Events rendered before profiles existed have no version and count as 1.
+ */
+const { RENDITIONS } = require('./previewRenditions');
+
+const DEFAULT_PROFILE = 'default';
+const UNVERSIONED     = 1;
+
+const PREVIEW_PROFILES = {
+  default: {
+    // 1: single 360x640 clip   2: 9:16 / 1:1 / 16:9 renditions
+    // 3: window and thumbnail picked by previewSegment.js   4: optional audio copies
+    version   : 4,
+    duration  : 2.5,           // seconds taken from the chosen window
+    fps       : 10,
+    crf       : 28,
+    preset    : 'veryfast',
+    tint      : 0.10,          // darken by 10% so the logo reads
+    logo      : {
+      path    : 'overlays/logo.png',
+      position: 'center',      // center | top-left | top-right | bottom-left | bottom-right
+      maxWidth: 1              // fraction of the frame the logo may cover
+    },
+    thumbQuality: 4,           // JPG -q:v (≈100–150 kB)
+    audio     : {              // second copy of each clip with sound; silent stays the default
+      enabled : true,
+      bitrate : '128k',
+      loudnorm: 'I=-16:TP=-1.5:LRA=11',   // EBU R128, streaming-platform target
+      fade    : 0.3            // seconds in and out
+    },
+    renditions: RENDITIONS.map(r => r.name)
+  }
+};
+
+// overlay x:y per logo position; margins scale with the frame
+const LOGO_POSITIONS = {
+  'center'      : '(W-w)/2:(H-h)/2',
+  'top-left'    : 'W*0.05:H*0.05',
+  'top-right'   : 'W-w-W*0.05:H*0.05',
+  'bottom-left' : 'W*0.05:H-h-H*0.05',
+  'bottom-right': 'W-w-W*0.05:H-h-H*0.05'
+};
+
+/**
+ * Profile to render an event with: the event's own preview_profile, then
+ * VILLE_PREVIEW_PROFILE, then 'default'. Unknown names fall back to default.
+ * @param {Object} [d] Firestore event doc
+ * @returns {Object} Profile with its `name`
+ */
+function resolveProfile(d = {}) {
+  const wanted = d.preview_profile || process.env.VILLE_PREVIEW_PROFILE || DEFAULT_PROFILE;
+  const name   = Object.hasOwn(PREVIEW_PROFILES, wanted) ? wanted : DEFAULT_PROFILE;
+  return { name, ...PREVIEW_PROFILES[name] };
+}
+
+/**
+ * True when the event's preview was rendered with an older version of
+ * its profile (or a different profile altogether).
+ * @param {Object} d       Firestore event doc
+ * @param {Object} profile From resolveProfile()
+ */
+function isOutdated(d, profile) {
+  const name    = d.preview_profile || DEFAULT_PROFILE;
+  const version = Number(d.preview_profile_version) || UNVERSIONED;
+  return name !== profile.name || version < profile.version;
+}
+
+/**
+ * ffmpeg filter graph for one rendition: cover-crop, tint, logo.
+ * Input 0 is the source clip, input 1 the logo.
+ * @param {Object} profile
+ * @param {{ width: number, height: number }} r Rendition
+ */
+function previewFilter(profile, { width, height }) {
+  const keep = (1 - profile.tint).toFixed(2);
+  const logoW = Math.round(width * profile.logo.maxWidth);
+  const at    = LOGO_POSITIONS[profile.logo.position] || LOGO_POSITIONS.center;
+  return `[0]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}[vid];` +
+    `[vid]colorchannelmixer=rr=${keep}:gg=${keep}:bb=${keep}[darkened];` +
+    `[1]scale='min(${logoW},iw)':'min(${height},ih)':force_original_aspect_ratio=decrease[lg];` +
+    `[darkened][lg]overlay=${at}`;
+}
+
+/**
+ * Arguments for the preview MP4 of one rendition.
+ * @param {Object} profile
+ * @param {Object} rendition
+ * @param {{ input: string, logo: string, output: string, start?: number }} files
+ *        start is the window offset in seconds (previewSegment.js)
+ */
+function previewVideoArgs(profile, rendition, { input, logo, output, start = 0 }) {
+  const t = String(profile.duration);
+  return [
+    '-ss', String(start),   // chosen window
+    '-t', t,                // only read the clip we need
+    '-i', input,
+    '-i', logo,
+    '-t', t,                // also limit output (redundant but safe)
+    '-r', String(profile.fps),
+    '-filter_complex', previewFilter(profile, rendition),
+    '-c:v', 'libx264', '-preset', profile.preset, '-crf', String(profile.crf),
+    '-pix_fmt', 'yuv420p',
+    '-an',                  // no audio
+    '-y', output
+  ];
+}
+
+/**
+ * Arguments for the with-sound copy of a rendered clip: its video stream as
+ * is, plus the same window of the source's audio, loudness-normalised and
+ * faded in/out. ffmpeg exits non-zero when the source has no audio track.
+ * @param {Object} profile
+ * @param {{ video: string, input: string, output: string, start?: number }} files
+ *        video is the silent clip from previewVideoArgs()
+ */
+function previewAudioArgs(profile, { video, input, output, start = 0 }) {
+  const { bitrate, loudnorm, fade } = profile.audio;
+  const t = profile.duration;
+  return [
+    '-i', video,
+    '-ss', String(start),
+    '-t', String(t),
+    '-i', input,
+    '-map', '0:v:0',
+    '-map', '1:a:0',
+    '-af', `loudnorm=${loudnorm},afade=t=in:st=0:d=${fade},afade=t=out:st=${Math.max(0, t - fade)}:d=${fade}`,
+    '-c:v', 'copy',
+    '-c:a', 'aac', '-b:a', bitrate, '-ar', '48000',
+    '-shortest',
+    '-y', output
+  ];
+}
+
+/**
+ * Arguments for the JPG still of one rendition: the source frame at `at`
+ * seconds with the same crop, tint and logo as the clip.
+ * @param {Object} profile
+ * @param {Object} rendition
+ * @param {{ input: string, logo: string, output: string, at?: number }} files
+ */
+function previewThumbArgs(profile, rendition, { input, logo, output, at = 0 }) {
+  return [
+    '-ss', String(at),
+    '-i', input,
+    '-i', logo,
+    '-filter_complex', previewFilter(profile, rendition),
+    '-frames:v', '1',
+    '-q:v', String(profile.thumbQuality),
+    '-y', output
+  ];
+}
+
+/** Human-readable summary, for logs and the regeneration script. */
+function describeProfile(profile) {
+  const sizes = RENDITIONS
+    .filter(r => profile.renditions.includes(r.name))
+    .map(r => `${r.width}x${r.height} (${r.aspect})`);
+  return [
+    `Profile: ${profile.name} v${profile.version}`,
+    `Renditions: ${sizes.join(', ')}`,
+    `Duration: ${profile.duration} seconds @ ${profile.fps} fps, CRF ${profile.crf}`,
+    `Effect: ${Math.round(profile.tint * 100)}% dark tint + logo (${profile.logo.position})`,
+    `Audio copy: ${profile.audio?.enabled ? `AAC ${profile.audio.bitrate}, loudnorm ${profile.audio.loudnorm}` : 'off'}`
+  ];
+}
+
+module.exports = {
+  PREVIEW_PROFILES, DEFAULT_PROFILE,
+  resolveProfile, isOutdated, previewFilter, previewVideoArgs, previewAudioArgs, previewThumbArgs,
+  describeProfile
+};
@@ -0,0 +1,65 @@
+/* ───────── previewRenditions.js ─────────
+ * The preview clips processPreviewAssets renders for each event, and how
+ * the meta builder picks one per platform.
+ *
+ * Every rendition is scaled to cover and cropped, so its stored width and
+ * height are exactly what was encoded. Results land on the event as
+ *
+ *   event_preview_renditions: [
+ *     { name: 'landscape-1280', aspect: '16:9', width: 1280, height: 720,
+ *       video_url: '…', image_url: '…', audio_video_url: '…' }, …
+ *   ]
+ *
+ * audio_video_url is the with-sound copy, present only when the source had
+ * audio. event_preview_vid / event_preview_image (and event_preview_vid_audio)
+ * keep pointing at LEGACY_RENDITION for app builds that only read those. Which renditions get rendered, and
+ * how they look, comes from the preview profile (previewProfiles.js).
+ */
+
+const RENDITIONS = [
+  { name: 'vertical-360',   aspect: '9:16', width: 360,  height: 640  },
+  { name: 'vertical-720',   aspect: '9:16', width: 720,  height: 1280 },
+  { name: 'square-480',     aspect: '1:1',  width: 480,  height: 480  },
+  { name: 'square-1080',    aspect: '1:1',  width: 1080, height: 1080 },
+  { name: 'landscape-640',  aspect: '16:9', width: 640,  height: 360  },
+  { name: 'landscape-1280', aspect: '16:9', width: 1280, height: 720  }
+];
+
+const LEGACY_RENDITION = 'vertical-360';
+
+// Preferred aspect ratios, best first, per consumer of the previews
+const PLATFORM_ASPECTS = {
+  og     : ['16:9', '1:1', '9:16'],   // Facebook / LinkedIn / iMessage link cards
+  twitter: ['16:9', '1:1', '9:16'],   // player card is letterboxed otherwise
+  schema : ['16:9', '1:1', '9:16'],   // Google video results
+  app    : ['9:16', '1:1', '16:9']    // full-screen mobile
+};
+
+/**
+ * Rendition specs for a list of names (a preview profile's `renditions`),
+ * in RENDITIONS order. The legacy rendition is always included.
+ * @param {string[]} [names] Defaults to every rendition
+ */
+function renditionsFor(names) {
+  if (!Array.isArray(names) || !names.length) return RENDITIONS;
+  return RENDITIONS.filter(r => r.name === LEGACY_RENDITION || names.includes(r.name));
+}
+
+/**
+ * Best stored rendition for a platform: first preferred aspect that exists,
+ * largest of that aspect. null when the event has none.
+ * @param {Object[]} renditions event_preview_renditions
+ * @param {string}   platform   Key of PLATFORM_ASPECTS
+ */
+function pickRendition(renditions, platform = 'og') {
+  const list = Array.isArray(renditions) ? renditions.filter(r => r?.video_url || r?.image_url) : [];
+  for (const aspect of PLATFORM_ASPECTS[platform] || PLATFORM_ASPECTS.og) {
+    const match = list
+      .filter(r => r.aspect === aspect)
+      .sort((a, b) => (b.width * b.height) - (a.width * a.height))[0];
+    if (match) return match;
+  }
+  return null;
+}
+
+module.exports = { RENDITIONS, LEGACY_RENDITION, renditionsFor, pickRendition };
@@ -0,0 +1,156 @@
+/* ───────── previewSegment.js ─────────
+ * Pick which part of an upload the preview shows, instead of always the
+ * first seconds (black fade-ins, shaky openings).
+ *
+ * One cheap ffmpeg pass over a downscaled 4 fps copy records, per frame:
+ *   lavfi.scene_score          scene-change likelihood      (select)
+ *   lavfi.signalstats.YDIF     mean change from last frame  (motion)
+ *   lavfi.signalstats.YAVG     mean luma                    (exposure)
+ *   lavfi.black_start / _end   black runs                   (blackdetect)
+ *
+ * Every window of the profile's duration is scored for activity without
+ * black or shake; the thumbnail is the steadiest well-exposed frame anywhere
+ * in the source. A creator can pin either by setting preview_start_override
+ * / preview_thumb_override (seconds) on the event.
+ */
+
+const ANALYZE_SECONDS = 60;       // enough to find a good window, bounded cost
+const ANALYZE_FPS     = 4;
+const STEP            = 1 / ANALYZE_FPS;
+
+const MOTION_CAP   = 20;          // YDIF above this adds no more "activity"
+const SHAKE_YDIF   = 35;          // YDIF above this reads as shake / whip pan
+const SCENE_CUT    = 0.4;         // scene_score treated as a cut
+const TARGET_LUMA  = 110;         // ideal mean luma for a still
+
+// A filter option value, escaped for both levels ffmpeg parses it at: the
+// filter's own key=value list, then the filtergraph around it
+const filterValue = v => String(v)
+  .replace(/[\\':]/g, '\\$&')
+  .replace(/[\\'[\],;]/g, '\\$&');
+
+/**
+ * ffmpeg arguments for the analysis pass; frame metadata goes to reportPath.
+ * @param {string} input      Source clip
+ * @param {string} reportPath Where metadata=print writes (escaped here)
+ */
+function analysisArgs(input, reportPath) {
+  return [
+    '-t', String(ANALYZE_SECONDS),
+    '-i', input,
+    '-an',
+    '-vf', [
+      `fps=${ANALYZE_FPS}`,
+      'scale=160:-2',
+      "select='gte(scene,0)'",
+      'signalstats',
+      'blackdetect=d=0.2:pix_th=0.10',
+      `metadata=mode=print:file=${filterValue(reportPath)}`
+    ].join(','),
+    '-f', 'null', '-'
+  ];
+}
+
+/**
+ * Parse metadata=print output into one record per analysed frame.
+ * @param {string} text
+ * @returns {{ t: number, scene: number, ydif: number, yavg: number, black: boolean }[]}
+ */
+function parseFrameReport(text) {
+  const frames = [];
+  let black = false;
+  let frame = null;
+
+  for (const line of String(text || '').split('\n')) {
+    const head = /pts_time:([\d.]+)/.exec(line);
+    if (head) {
+      frame = { t: Number(head[1]), scene: 0, ydif: 0, yavg: TARGET_LUMA, black };
+      frames.push(frame);
+      continue;
+    }
+    if (!frame) continue;
+
+    const [key, value] = line.trim().split('=');
+    if (key === 'lavfi.scene_score')           frame.scene = Number(value) || 0;
+    else if (key === 'lavfi.signalstats.YDIF') frame.ydif  = Number(value) || 0;
+    else if (key === 'lavfi.signalstats.YAVG') frame.yavg  = Number(value) || 0;
+    else if (key === 'lavfi.black_start')      black = frame.black = true;
+    else if (key === 'lavfi.black_end')        black = frame.black = false;
+  }
+  return frames;
+}
+
+const mean = xs => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+
+// Higher is better: lively but not shaky, no black, slight preference for earlier
+function scoreWindow(frames, start, duration, total) {
+  const win = frames.filter(f => f.t >= start && f.t < start + duration);
+  if (!win.length) return -Infinity;
+
+  const activity = mean(win.map(f => Math.min(f.ydif, MOTION_CAP))) / MOTION_CAP;
+  const blackish = win.filter(f => f.black).length / win.length;
+  const shake    = win.filter(f => f.ydif > SHAKE_YDIF).length / win.length;
+  const cuts     = win.filter(f => f.scene >= SCENE_CUT).length;
+
+  return activity
+    - 2 * blackish
+    - 1 * shake
+    - 0.2 * Math.max(0, cuts - 1)        // one cut is fine, a montage isn't
+    - 0.1 * (start / Math.max(total, 1));
+}
+
+// Higher is better: not black, steady, well exposed, not on a cut
+function scoreStill(f) {
+  if (f.black) return -Infinity;
+  return -Math.abs(f.yavg - TARGET_LUMA) / TARGET_LUMA
+    - Math.min(f.ydif, SHAKE_YDIF) / SHAKE_YDIF
+    - (f.scene >= SCENE_CUT ? 0.5 : 0);
+}
+
+const seconds = v => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Math.max(0, Number(v)));
+const round2  = n => Math.round(n * 100) / 100;
+
+/**
+ * Choose the clip window and thumbnail time for an event's upload.
+ * @param {Object[]} frames   From parseFrameReport(); [] when analysis failed
+ * @param {Object}   opts
+ * @param {number}   opts.duration Preview length in seconds (profile)
+ * @param {Object}   [opts.event]  Event doc, for creator overrides
+ * @param {number}   [opts.sourceDuration] From ffprobe; shorter uploads give shorter clips
+ * @returns {{ start: number, duration: number, thumbnail: number, source: 'auto'|'creator'|'default' }}
+ */
+function chooseSegment(frames, { duration, event = {}, sourceDuration = 0 }) {
+  if (sourceDuration > 0) duration = Math.min(duration, sourceDuration);
+  const total = frames.length ? frames[frames.length - 1].t + STEP : sourceDuration;
+  const maxStart = Math.max(0, total - duration);
+
+  const startOverride = seconds(event.preview_start_override);
+  const thumbOverride = seconds(event.preview_thumb_override);
+
+  let start = 0;
+  let thumbnail = 0;
+  let source = frames.length ? 'auto' : 'default';
+
+  if (frames.length) {
+    let best = -Infinity;
+    for (let s = 0; s <= maxStart + 1e-9; s += STEP) {
+      const score = scoreWindow(frames, s, duration, total);
+      if (score > best) { best = score; start = s; }
+    }
+    const still = frames.reduce((a, f) => (scoreStill(f) > scoreStill(a) ? f : a), frames[0]);
+    thumbnail = scoreStill(still) > -Infinity ? still.t : start;
+  }
+
+  if (startOverride !== null) {
+    start  = total ? Math.min(startOverride, maxStart) : startOverride;
+    source = 'creator';
+  }
+  if (thumbOverride !== null) {
+    thumbnail = total ? Math.min(thumbOverride, Math.max(0, total - STEP)) : thumbOverride;
+    source    = 'creator';
+  }
+
+  return { start: round2(start), duration, thumbnail: round2(thumbnail), source };
+}
+
+module.exports = { ANALYZE_SECONDS, analysisArgs, parseFrameReport, chooseSegment };
@@ -0,0 +1,164 @@
+/* ───────── previewSource.js ─────────
+ * Vet an event's upload before any rendering: it must be an object in our
+ * bucket, non-empty, under MAX_SOURCE_BYTES, and ffprobe must find a video
+ * stream no longer than MAX_SOURCE_SECONDS. Rejections are PreviewErrors of
+ * class 'source' with one of SOURCE_ERROR as code; they are not retried.
+ *
+ * What ffprobe finds is stored on the event for the app and the meta builder:
+ *
+ *   event_video_meta: {
+ *     codec: 'h264', width: 1920, height: 1080, rotation: 90,
+ *     display_width: 1080, display_height: 1920,
+ *     duration: 14.27, fps: 29.97, has_audio: true, audio_codec: 'aac',
+ *     format: 'mov,mp4,m4a,3gp,3g2,mj2', size_bytes: 18351220
+ *   }
+ */
+const { ERROR_CLASS, PreviewError, step } = require('./previewFailures');
+const { runFfprobe } = require('./ffmpeg');
+
+const MAX_SOURCE_BYTES   = 500 * 1024 * 1024;
+const MAX_SOURCE_SECONDS = 10 * 60;
+
+const SOURCE_ERROR = {
+  EXTERNAL_URL: 'external_url',   // not an object in our bucket
+  NOT_FOUND   : 'not_found',
+  EMPTY       : 'empty_file',
+  TOO_LARGE   : 'too_large',
+  NOT_VIDEO   : 'not_video',      // no video stream, or a still image
+  TOO_LONG    : 'too_long',
+  UNREADABLE  : 'unreadable'      // ffprobe couldn't parse it
+};
+
+const reject = (code, message) => new PreviewError(ERROR_CLASS.SOURCE, message, { code });
+
+/**
+ * Object path of an event_video URL in our bucket. Accepts Firebase download
+ * URLs, storage.googleapis.com URLs and gs:// URIs; anything else is refused.
+ * @param {string} urlStr
+ * @param {string} bucketName
+ */
+function sourceObjectPath(urlStr, bucketName) {
+  let u;
+  try { u = new URL(String(urlStr || '')); }
+  catch { throw reject(SOURCE_ERROR.EXTERNAL_URL, 'event_video is not a URL'); }
+
+  let bucket = '';
+  let path   = '';
+  if (u.protocol === 'gs:') {
+    bucket = u.hostname;
+    path   = u.pathname.slice(1);
+  } else if (u.protocol === 'https:' && u.hostname === 'firebasestorage.googleapis.com') {
+    const m = /^\/v0\/b\/([^/]+)\/o\/(.+)$/.exec(u.pathname);
+    if (m) [bucket, path] = [m[1], m[2]];
+  } else if (u.protocol === 'https:' && u.hostname === 'storage.googleapis.com') {
+    const m = /^\/([^/]+)\/(.+)$/.exec(u.pathname);
+    if (m) [bucket, path] = [m[1], m[2]];
+  }
+
+  try { path = decodeURIComponent(path); }
+  catch { path = ''; }
+  if (bucket !== bucketName || !path) {
+    throw reject(SOURCE_ERROR.EXTERNAL_URL, `event_video is not in gs://${bucketName}: ${u.host || u.protocol}`);
+  }
+  return path;
+}
+
+/**
+ * Check the stored object before downloading it.
+ * @param {import('@google-cloud/storage').File} file
+ * @returns {Promise<{ size: number, contentType: string, generation: string }>}
+ */
+async function checkSourceObject(file) {
+  const [meta] = await step(ERROR_CLASS.DOWNLOAD, file.getMetadata().catch(err => {
+    throw err?.code === 404 ? reject(SOURCE_ERROR.NOT_FOUND, `gs://${file.bucket.name}/${file.name} does not exist`) : err;
+  }));
+  const size = Number(meta.size) || 0;
+  if (!size) throw reject(SOURCE_ERROR.EMPTY, 'Upload is empty');
+  if (size > MAX_SOURCE_BYTES) {
+    throw reject(SOURCE_ERROR.TOO_LARGE, `Upload is ${Math.round(size / 1048576)} MB (max ${MAX_SOURCE_BYTES / 1048576} MB)`);
+  }
+  return { size, contentType: meta.contentType || '', generation: String(meta.generation || '') };
+}
+
+const ratio = s => {
+  const [n, d] = String(s || '').split('/').map(Number);
+  return d ? n / d : (Number.isFinite(n) ? n : 0);
+};
+const round2 = n => Math.round(n * 100) / 100;
+
+// Degrees clockwise the frames must be turned for display
+function rotationOf(stream) {
+  const side = (stream.side_data_list || []).find(x => x.rotation !== undefined);
+  const deg  = side ? -Number(side.rotation) : Number(stream.tags?.rotate || 0);
+  return ((Math.round(deg / 90) * 90) % 360 + 360) % 360;
+}
+
+/**
+ * Validate ffprobe's JSON and reduce it to event_video_meta.
+ * @param {Object} probe Parsed `ffprobe -print_format json -show_format -show_streams`
+ * @param {number} size  Object size in bytes
+ */
+function sourceMeta(probe, size) {
+  const streams = Array.isArray(probe?.streams) ? probe.streams : [];
+  const format  = probe?.format || {};
+  const video   = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+  const audio   = streams.find(s => s.codec_type === 'audio');
+
+  // Stills (jpg/png/webp) probe as a one-frame video stream in an image demuxer
+  if (!video || /^(image2|.*_pipe)$/.test(format.format_name || '')) {
+    throw reject(SOURCE_ERROR.NOT_VIDEO, `Upload is not a video (${format.format_name || 'unknown format'})`);
+  }
+
+  const duration = Number(format.duration) || Number(video.duration) || 0;
+  if (!(duration > 0)) throw reject(SOURCE_ERROR.NOT_VIDEO, 'Upload has no playable duration');
+  if (duration > MAX_SOURCE_SECONDS) {
+    throw reject(SOURCE_ERROR.TOO_LONG, `Upload is ${Math.round(duration)} s long (max ${MAX_SOURCE_SECONDS} s)`);
+  }
+
+  const width    = Number(video.width)  || 0;
+  const height   = Number(video.height) || 0;
+  const rotation = rotationOf(video);
+  const sideways = rotation === 90 || rotation === 270;
+
+  return {
+    codec         : video.codec_name || '',
+    width,
+    height,
+    rotation,
+    display_width : sideways ? height : width,
+    display_height: sideways ? width  : height,
+    duration      : round2(duration),
+    fps           : round2(ratio(video.avg_frame_rate) || ratio(video.r_frame_rate)),
+    has_audio     : Boolean(audio),
+    audio_codec   : audio?.codec_name || null,
+    format        : format.format_name || '',
+    size_bytes    : size
+  };
+}
+
+/**
+ * Run ffprobe on a downloaded upload and return its event_video_meta.
+ * @param {string} input Local file
+ * @param {number} size  Object size in bytes
+ */
+async function probeSource(input, size) {
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input];
+  let probe = null;
+  try {
+    probe = JSON.parse((await runFfprobe(args, { timeoutMs: 30000 })).stdout);
+  } catch (err) {
+    // Couldn't start it (no binary, ENOENT…), or it was killed: not the upload's fault
+    if (err.transient || typeof err.code === 'string') {
+      throw new PreviewError(ERROR_CLASS.FFMPEG, err.message, { transient: Boolean(err.transient), cause: err });
+    }
+    throw new PreviewError(ERROR_CLASS.SOURCE, `ffprobe could not read the upload (${err.message})`, {
+      code: SOURCE_ERROR.UNREADABLE, stderrTail: err.stderrTail || ''
+    });
+  }
+  return sourceMeta(probe, size);
+}
+
+module.exports = {
+  MAX_SOURCE_BYTES, MAX_SOURCE_SECONDS, SOURCE_ERROR,
+  sourceObjectPath, checkSourceObject, sourceMeta, probeSource
+};
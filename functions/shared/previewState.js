@@ -0,0 +1,234 @@
+/* ───────── previewState.js ─────────
+ * Keeps processPreviewAssets to one render at a time per event, of the
+ * latest video, even though it fires on every write (its own included).
+ *
+ *   preview_status      pending → processing → ready | failed
+ *   preview_source_key  hash of what the stored previews were rendered from
+ *                       (video URL, creator overrides, profile + version)
+ *   preview_claim       { id, key, generation, attempt, at } while processing
+ *   preview_generation  bumped on every claim
+ *   preview_attempts    tries at the current source (see previewFailures.js)
+ *   preview_source_generation
+ *                       Storage generation of the upload last rendered (or
+ *                       failed); compared with event_video_generation, which
+ *                       the Storage trigger stamps when an upload lands
+ *
+ * A trigger claims the event in a transaction, renders, then finishes in a
+ * second transaction. If the video changed mid-render the result is dropped
+ * and the event goes back to pending; that write fires the trigger again,
+ * which claims the new video. A claim older than STALE_CLAIM_MS (a crashed
+ * or timed-out instance) may be taken over, and counts as a failed attempt;
+ * recoverStalePreviews records such claims as failed so they are retried
+ * even when nothing writes to the event again.
+ */
+const crypto = require('crypto');
+const admin  = require('firebase-admin');
+
+const PREVIEW_STATUS = {
+  PENDING   : 'pending',
+  PROCESSING: 'processing',
+  READY     : 'ready',
+  FAILED    : 'failed'
+};
+
+// Comfortably past processPreviewAssets' 300 s timeout
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Identity of the preview an event should have. Same key, same output.
+ * @param {Object} d       Firestore event doc
+ * @param {Object} profile From resolveProfile()
+ */
+function previewSourceKey(d, profile) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([
+      d.event_video || '',
+      d.preview_start_override ?? null,
+      d.preview_thumb_override ?? null,
+      profile.name,
+      profile.version
+    ]))
+    .digest('hex');
+}
+
+const hasPreview = d => Boolean(d.event_preview_vid && d.event_preview_image);
+
+// Whether `generation` is the upload the event points at. Events the Storage
+// trigger hasn't stamped (yet) accept any generation.
+const sameUpload = (d, generation) =>
+  !d.event_video_generation || String(d.event_video_generation) === String(generation ?? '');
+const claimAge   = d => Date.now() - (d.preview_claim?.at?.toMillis?.() ?? 0);
+
+/** Whether an event is held by a render that can no longer be running. */
+const isStaleClaim = d => d?.preview_status === PREVIEW_STATUS.PROCESSING && claimAge(d) >= STALE_CLAIM_MS;
+
+/**
+ * Why an event doesn't need a render right now, or null when it does.
+ * @param {Object} d   Firestore event doc
+ * @param {string} key previewSourceKey() of d
+ */
+function skipReason(d, key) {
+  if (!d?.event_video) return 'no video';
+  switch (d.preview_status) {
+    case PREVIEW_STATUS.PROCESSING:
+      // The running render re-checks the key when it finishes
+      return isStaleClaim(d) ? null : 'already processing';
+    case PREVIEW_STATUS.READY:
+      return d.preview_source_key === key && sameUpload(d, d.preview_source_generation) && hasPreview(d)
+        ? 'up to date' : null;
+    case PREVIEW_STATUS.FAILED:
+      return d.preview_source_key === key && sameUpload(d, d.preview_source_generation)
+        ? 'failed for this source' : null;
+    default:
+      return null;
+  }
+}
+
+// Earlier tries at this same source: a recorded failure or an abandoned claim
+function priorAttempts(d, key) {
+  const failedHere    = d.preview_status === PREVIEW_STATUS.FAILED && d.preview_source_key === key &&
+    sameUpload(d, d.preview_source_generation);
+  const abandonedHere = d.preview_status === PREVIEW_STATUS.PROCESSING && d.preview_claim?.key === key;
+  return failedHere || abandonedHere ? Number(d.preview_attempts) || 1 : 0;
+}
+
+/**
+ * Claim an event for rendering. Resolves to the claim, or null when another
+ * render owns it or there's nothing to do.
+ *
+ * A scheduled retry passes the source key it was queued for as retryKey; it
+ * may claim a failed event, but only while that is still the current source.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {function(Object): Object} profileFor resolveProfile
+ * @param {{ retryKey?: string }} [opts]
+ * @returns {Promise<{ id: string, key: string, generation: number, attempt: number, data: Object, profile: Object }|null>}
+ */
+async function claimPreview(db, ref, profileFor, { retryKey } = {}) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data    = snap.data();
+    const profile = profileFor(data);
+    const key     = previewSourceKey(data, profile);
+    if (retryKey) {
+      const retryable = data.event_video && key === retryKey &&
+        data.preview_status === PREVIEW_STATUS.FAILED && data.preview_source_key === key &&
+        sameUpload(data, data.preview_source_generation);
+      if (!retryable) return null;
+    } else if (skipReason(data, key)) {
+      return null;
+    }
+
+    const claim = {
+      id        : crypto.randomUUID(),
+      key,
+      generation: (Number(data.preview_generation) || 0) + 1,
+      attempt   : priorAttempts(data, key) + 1
+    };
+    tx.update(ref, {
+      preview_status    : PREVIEW_STATUS.PROCESSING,
+      preview_generation: claim.generation,
+      preview_attempts  : claim.attempt,
+      preview_claim     : { ...claim, at: admin.firestore.FieldValue.serverTimestamp() }
+    });
+    return { ...claim, data, profile };
+  });
+}
+
+// The render sets claim.sourceGeneration once it knows which upload it read
+const stillSource = (d, claim) =>
+  previewSourceKey(d, claim.profile) === claim.key && sameUpload(d, claim.sourceGeneration);
+
+/**
+ * Whether a claim still owns the event and its source hasn't moved on.
+ * Checked before uploading so a superseded render never overwrites objects.
+ */
+async function claimIsCurrent(ref, claim) {
+  const snap = await ref.get();
+  const d = snap.exists ? snap.data() : null;
+  return Boolean(d && d.preview_claim?.id === claim.id && stillSource(d, claim));
+}
+
+/**
+ * Store a finished render if the claim is still current. When the event was
+ * edited meanwhile, drop the result and hand back to pending instead.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {Object} claim  From claimPreview()
+ * @param {Object} fields Preview fields to write
+ * @returns {Promise<boolean>} true when the result was stored
+ */
+async function finishPreview(db, ref, claim, fields) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    const d = snap.exists ? snap.data() : null;
+    if (!d || d.preview_claim?.id !== claim.id) return false;   // taken over
+
+    if (!stillSource(d, claim)) {
+      tx.update(ref, {
+        preview_status: PREVIEW_STATUS.PENDING,
+        preview_claim : admin.firestore.FieldValue.delete()
+      });
+      return false;
+    }
+
+    tx.update(ref, {
+      ...fields,
+      preview_status           : PREVIEW_STATUS.READY,
+      preview_source_key       : claim.key,
+      preview_source_generation: claim.sourceGeneration ?? null,
+      preview_error            : admin.firestore.FieldValue.delete(),
+      preview_retry_at         : admin.firestore.FieldValue.delete(),
+      preview_claim            : admin.firestore.FieldValue.delete()
+    });
+    return true;
+  });
+}
+
+/**
+ * Give a claim back without a result (superseded before upload).
+ */
+async function releasePreview(db, ref, claim) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.get('preview_claim.id') !== claim.id) return;
+    tx.update(ref, {
+      preview_status: PREVIEW_STATUS.PENDING,
+      preview_claim : admin.firestore.FieldValue.delete()
+    });
+  });
+}
+
+/**
+ * Mark a claimed render as failed so the trigger leaves this source alone;
+ * only a queued retry (or a new video / override) tries it again.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {Object} claim   From claimPreview()
+ * @param {Object} info    From failureInfo()
+ * @param {Date|null} retryAt When the next attempt is queued for
+ * @returns {Promise<boolean>} false when the claim had been taken over
+ */
+async function failPreview(db, ref, claim, info, retryAt = null) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.get('preview_claim.id') !== claim.id) return false;
+    tx.update(ref, {
+      preview_status           : PREVIEW_STATUS.FAILED,
+      preview_source_key       : claim.key,
+      preview_source_generation: claim.sourceGeneration ?? null,
+      preview_error            : { ...info, attempt: claim.attempt, at: admin.firestore.FieldValue.serverTimestamp() },
+      preview_retry_at         : retryAt || admin.firestore.FieldValue.delete(),
+      preview_claim            : admin.firestore.FieldValue.delete()
+    });
+    return true;
+  });
+}
+
+module.exports = {
+  PREVIEW_STATUS, STALE_CLAIM_MS,
+  previewSourceKey, sameUpload, claimAge, isStaleClaim, skipReason,
+  claimPreview, claimIsCurrent, finishPreview, releasePreview, failPreview
+};
@@ -0,0 +1,66 @@
+/* ───────── previewUpload.js ─────────
+ * Storage side of preview generation. When an event video upload lands
+ * (processUploadedEventVideo), the upload is stamped on its event:
+ *
+ *   event_video_generation  Storage generation of the object event_video names
+ *
+ * That write re-runs processPreviewAssets, which renders unless the stored
+ * preview already came from that generation (see sameUpload() in
+ * previewState.js). So an upload that finishes after the event write, or a
+ * file replaced in place, still gets a preview; and whichever of the two
+ * signals arrives first renders, the other finds nothing to do.
+ *
+ * Uploads live under EVENT_VIDEO_PREFIX as <prefix><eventID or doc ID>/<file>.
+ * An `eventId` in the object's custom metadata takes precedence over the path.
+ */
+const { sourceObjectPath } = require('./previewSource');
+
+const EVENT_VIDEO_PREFIX = process.env.VILLE_EVENT_VIDEO_PREFIX || 'event_videos/';
+
+/**
+ * Event key (public eventID or doc ID) an uploaded object belongs to, or
+ * null when it isn't an event video upload.
+ * @param {{ name: string, contentType?: string, metadata?: Object }} object Storage object
+ */
+function uploadEventKey(object) {
+  const name = object?.name || '';
+  if (!name.startsWith(EVENT_VIDEO_PREFIX) || name.endsWith('/')) return null;
+  if (object.contentType && !/^video\//i.test(object.contentType)) return null;
+
+  const fromMeta = object.metadata?.eventId;
+  if (fromMeta) return String(fromMeta);
+
+  const [key, ...rest] = name.slice(EVENT_VIDEO_PREFIX.length).split('/');
+  return key && rest.length ? key : null;
+}
+
+// Generations are int64 strings; later uploads have larger ones
+const newer = (a, b) => !b || BigInt(a) > BigInt(b);
+
+/**
+ * Record a finished upload on its event. Resolves to why nothing was written,
+ * or null when the event was stamped (which starts the render).
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} ref
+ * @param {{ name: string, bucket: string, generation: string }} object
+ */
+async function stampUpload(db, ref, object) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return 'event not found';
+
+    const d = snap.data();
+    let path = null;
+    try { path = sourceObjectPath(d.event_video, object.bucket); }
+    catch { path = null; }
+    if (path !== object.name) return 'event_video points elsewhere';
+
+    const generation = String(object.generation);
+    if (!newer(generation, d.event_video_generation)) return 'already stamped';
+
+    tx.update(ref, { event_video_generation: generation });
+    return null;
+  });
+}
+
+module.exports = { EVENT_VIDEO_PREFIX, uploadEventKey, stampUpload };
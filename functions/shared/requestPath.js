@@ -0,0 +1,46 @@
+/* ───────── requestPath.js ───────── */
+const { SITE_URL } = require('./metaSections');
+
+const MAX_KEY = 256;
+
+/**
+ * Pull the entity key out of /<segment>/<key>, whether the request came in
+ * through the hosting rewrite or hit the function URL directly.
+ * Returns the percent-decoded key, or '' when it's missing or implausible.
+ * @param {Object}  req                Express request
+ * @param {string}  segment            'event', 'u', 'v' …
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.lastSegment] Fall back to the last path segment
+ */
+function pathKey(req, segment, { lastSegment = false } = {}) {
+  const marker = `/${segment}/`;
+  const paths  = [req.path, req.originalUrl].map(p => String(p || '').split('?')[0].split('#')[0]);
+  const source = paths.find(p => p.includes(marker));
+
+  let key;
+  if (source)           key = source.split(marker)[1]?.split('/')[0] || '';
+  else if (lastSegment) key = paths[0].split('/').pop() || '';
+  else                  return '';
+
+  try { key = decodeURIComponent(key); } catch { return ''; }
+  key = key.trim();
+
+  // Doc IDs and handles never contain control chars or slashes
+  if (!key || key.length > MAX_KEY || /[\u0000-\u001F\u007F/\\]/.test(key)) return '';
+  return key;
+}
+
+/**
+ * Canonical page URL for an entity key. Built from the decoded key rather
+ * than req.originalUrl so query strings and raw path bytes never reach the
+ * canonical / og:url tags.
+ */
+const canonicalUrl = (segment, key) => `${SITE_URL}/${segment}/${encodeURIComponent(key)}`;
+
+/**
+ * Framable player / card page for an entity key (/embed/event/<id>,
+ * /embed/video/<id>); see eventEmbed.js.
+ */
+const embedUrl = (segment, key) => `${SITE_URL}/embed/${segment}/${encodeURIComponent(key)}`;
+
+module.exports = { pathKey, canonicalUrl, embedUrl };
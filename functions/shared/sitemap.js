@@ -0,0 +1,185 @@
+/* ───────── sitemap.js ─────────
+ * sitemap.xml for public event pages, sharded by event month.
+ *
+ *   /sitemap.xml                   index of the month shards in the window
+ *   /sitemaps/events-YYYY-MM.xml   events starting that month (UTC)
+ *
+ * The window runs from RECENT_DAYS ago to AHEAD_MONTHS ahead, so past
+ * events age out on their own: their month drops off the index, and within
+ * the oldest month anything that ended before the cutoff is skipped.
+ *
+ * A shard reads only the fields an entry needs, PAGE_SIZE docs at a time.
+ */
+const { clean, html: xml } = require('./escape');
+const { SITE_URL, DEFAULT_IMAGE, truncate } = require('./metaSections');
+const { canonicalUrl, embedUrl } = require('./requestPath');
+const { eventStatus, STATUS } = require('./eventStatus');
+
+const RECENT_DAYS  = 30;
+const AHEAD_MONTHS = 12;
+const MAX_URLS     = 50000;             // protocol limit per sitemap file
+const PAGE_SIZE    = 1000;
+const DAY_MS       = 24 * 60 * 60 * 1000;
+
+const SHARD_RE = /^events-(\d{4})-(\d{2})\.xml$/;
+
+// What eventEntry() and eventStatus()'s deleted check read
+const ENTRY_FIELDS = [
+  'eventID', 'event_title', 'event_description', 'event_preview_image', 'event_preview_vid',
+  'start_date', 'end_date', 'updated_time', 'created_time',
+  'event_status', 'deleted', 'is_deleted', 'deleted_at'
+];
+
+const toDate   = ts => ts?.toDate ? ts.toDate() : (ts instanceof Date ? ts : null);
+const monthKey = date => date.toISOString().slice(0, 7);
+// Raw http(s) URL or ''; escaped once when written by tag()
+const absolute = u => /^https?:\/\//i.test(clean(u)) ? clean(u) : '';
+
+const shardUrl = key => `${SITE_URL}/sitemaps/events-${key}.xml`;
+
+/**
+ * 'YYYY-MM' keys of every month in the window, oldest first.
+ * @param {Date} now
+ */
+function sitemapMonths(now = new Date()) {
+  const from = new Date(now.getTime() - RECENT_DAYS * DAY_MS);
+  const keys = [];
+  for (let y = from.getUTCFullYear(), m = from.getUTCMonth();
+       Date.UTC(y, m) <= Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + AHEAD_MONTHS);
+       m++) {
+    keys.push(monthKey(new Date(Date.UTC(y, m))));
+  }
+  return keys;
+}
+
+/**
+ * Month key for a shard file name, or '' when it isn't one we publish.
+ * @param {string} fileName e.g. 'events-2025-03.xml'
+ * @param {Date}   now
+ */
+function shardMonth(fileName, now = new Date()) {
+  const m = SHARD_RE.exec(fileName || '');
+  if (!m) return '';
+  const key = `${m[1]}-${m[2]}`;
+  return sitemapMonths(now).includes(key) ? key : '';
+}
+
+/* ---------- XML ---------- */
+const tag = (name, value) => value ? `<${name}>${xml(value)}</${name}>` : '';
+
+function renderSitemapIndex(keys) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...keys.map(k => `  <sitemap>${tag('loc', shardUrl(k))}</sitemap>`),
+    '</sitemapindex>'
+  ].join('\n');
+}
+
+function renderImage(img) {
+  return `    <image:image>${tag('image:loc', img.loc)}${tag('image:title', img.title)}</image:image>`;
+}
+
+function renderVideo(v) {
+  return [
+    '    <video:video>',
+    `      ${tag('video:thumbnail_loc', v.thumbnail)}`,
+    `      ${tag('video:title', v.title)}`,
+    `      ${tag('video:description', v.description)}`,
+    `      ${tag('video:content_loc', v.contentLoc)}`,
+    `      ${tag('video:player_loc', v.playerLoc)}`,
+    '      <video:family_friendly>yes</video:family_friendly>',
+    '    </video:video>'
+  ].join('\n');
+}
+
+function renderUrlset(entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+    '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+    '        xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">',
+    ...entries.map(e => [
+      '  <url>',
+      `    ${tag('loc', e.loc)}`,
+      e.lastmod && `    ${tag('lastmod', e.lastmod)}`,
+      ...e.images.map(renderImage),
+      ...e.videos.map(renderVideo),
+      '  </url>'
+    ].filter(Boolean).join('\n')),
+    '</urlset>'
+  ].join('\n');
+}
+
+/* ---------- Events ---------- */
+
+/**
+ * Sitemap entry for one event, or null when it shouldn't be listed
+ * (no public ID, deleted, or ended before the window).
+ * @param {FirebaseFirestore.DocumentSnapshot} snap
+ * @param {Date} now
+ */
+function eventEntry(snap, now = new Date()) {
+  const d  = snap.data() || {};
+  const id = d.eventID || snap.id;
+  if (!id || eventStatus(d) === STATUS.DELETED) return null;
+
+  const cutoff = now.getTime() - RECENT_DAYS * DAY_MS;
+  const over   = toDate(d.end_date) || toDate(d.start_date);
+  if (!over || over.getTime() < cutoff) return null;
+
+  const loc     = canonicalUrl('event', id);
+  const title   = clean(d.event_title) || 'Ville event';
+  const image   = absolute(d.event_preview_image);
+  const video   = absolute(d.event_preview_vid);
+  const updated = toDate(d.updated_time) || toDate(snap.updateTime) || toDate(d.created_time);
+
+  return {
+    loc,
+    lastmod: updated ? updated.toISOString() : '',
+    images : image ? [{ loc: image, title }] : [],
+    videos : video ? [{
+      thumbnail  : image || DEFAULT_IMAGE,
+      title,
+      description: truncate(clean(d.event_description) || title, 2048),
+      contentLoc : video,
+      playerLoc  : embedUrl('event', id)
+    }] : []
+  };
+}
+
+/**
+ * urlset XML for the events starting in one month.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} key 'YYYY-MM'
+ * @param {Date}   now
+ */
+async function eventShard(db, key, now = new Date()) {
+  const [y, m] = key.split('-').map(Number);
+  const start  = new Date(Date.UTC(y, m - 1));
+  const end    = new Date(Date.UTC(y, m));
+
+  const base = db.collection('events')
+    .where('start_date', '>=', start)
+    .where('start_date', '<', end)
+    .orderBy('start_date')
+    .select(...ENTRY_FIELDS);
+
+  const entries = [];
+  let last = null;
+  while (entries.length < MAX_URLS) {
+    const q = await (last ? base.startAfter(last) : base).limit(PAGE_SIZE).get();
+    for (const s of q.docs) {
+      const e = eventEntry(s, now);
+      if (e && entries.length < MAX_URLS) entries.push(e);
+    }
+    if (q.size < PAGE_SIZE) break;
+    last = q.docs[q.docs.length - 1];
+  }
+  return renderUrlset(entries);
+}
+
+module.exports = {
+  MAX_URLS, PAGE_SIZE,
+  sitemapMonths, shardMonth, renderSitemapIndex, renderUrlset, eventEntry, eventShard
+};
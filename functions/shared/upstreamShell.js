@@ -0,0 +1,108 @@
+/* ───────── upstreamShell.js ─────────
+ * In-memory cache of the Flutter index.html that every meta route injects
+ * its <head> into. One copy per instance, revalidated with If-None-Match once
+ * the TTL lapses; concurrent misses share a single fetch, and a failed fetch
+ * serves the last good copy instead of failing the request.
+ *
+ * After a failed fetch the origin is left alone for a backoff window that
+ * doubles with each further failure (up to BACKOFF_MAX_MS). With nothing
+ * cached, requests get FALLBACK_SHELL meanwhile; it still carries the page's
+ * injected <head>, but must not be cached downstream (see shellCacheControl).
+ */
+const fetch = (...a) => import('node-fetch').then(({default:f}) => f(...a));
+
+const SHELL_ORIGIN  = (process.env.VILLE_SHELL_ORIGIN || 'https://ville.social').replace(/\/+$/, '');
+const SHELL_TTL_MS  = Number(process.env.VILLE_SHELL_TTL_MS) || 5 * 60 * 1000;
+const FETCH_TIMEOUT = Number(process.env.VILLE_SHELL_TIMEOUT_MS) || 4000;
+const BACKOFF_MS     = 5 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// Last-resort shell when the origin is down and nothing is cached yet. It
+// stays on this URL (the head has the entity's meta) and retries shortly.
+const FALLBACK_SHELL =
+  `<!DOCTYPE html><html><head></head><body><h1>Loading...</h1>` +
+  `<script>setTimeout(function(){location.reload();},5000);</script></body></html>`;
+
+let cache    = null;   // { html, etag, fetchedAt }
+let inflight = null;
+let failures = 0;
+let retryAt  = 0;      // no origin fetch before this
+
+async function fetchShell() {
+  const headers = { 'User-Agent': 'Ville-Meta-SSR/1.0' };
+  if (cache?.etag) headers['If-None-Match'] = cache.etag;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const res = await fetch(`${SHELL_ORIGIN}/index.html`, { headers, signal: controller.signal });
+
+    if (res.status === 304 && cache) {
+      cache.fetchedAt = Date.now();
+      return cache.html;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+
+    const html = await res.text();
+    if (!/<head[^>]*>/i.test(html)) throw new Error('upstream shell has no <head>');
+
+    cache = { html, etag: res.headers.get('etag'), fetchedAt: Date.now() };
+    return html;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * The upstream index.html, from memory when fresh.
+ * Never throws: falls back to the stale copy, then to a minimal shell.
+ * @returns {Promise<string>}
+ */
+async function getShell() {
+  if (cache && Date.now() - cache.fetchedAt < SHELL_TTL_MS) return cache.html;
+  if (Date.now() < retryAt) return cache ? cache.html : FALLBACK_SHELL;
+
+  if (!inflight) {
+    inflight = fetchShell()
+      .then(html => {
+        failures = 0;
+        retryAt  = 0;
+        return html;
+      }, err => {
+        failures++;
+        retryAt = Date.now() + Math.min(BACKOFF_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+        throw err;
+      })
+      .finally(() => { inflight = null; });
+  }
+
+  try {
+    return await inflight;
+  } catch (err) {
+    if (cache) {
+      console.error(`Upstream shell fetch failed, serving stale copy (${Math.round((Date.now() - cache.fetchedAt) / 1000)}s old):`, err.message);
+      return cache.html;
+    }
+    console.error('Upstream shell fetch failed with nothing cached:', err.message);
+    return FALLBACK_SHELL;
+  }
+}
+
+/**
+ * Cache-Control for a page built on `shell`: the given value, or no-store
+ * when it is the fallback, so CDNs don't keep a page without the app.
+ * @param {string} shell        From getShell()
+ * @param {string} cacheControl What the page would normally get
+ */
+function shellCacheControl(shell, cacheControl) {
+  return shell === FALLBACK_SHELL ? 'no-cache, no-store, must-revalidate' : cacheControl;
+}
+
+// Test/ops hook: forget the cached copy and any backoff
+function resetShellCache() {
+  cache    = null;
+  failures = 0;
+  retryAt  = 0;
+}
+
+module.exports = { getShell, shellCacheControl, resetShellCache, SHELL_ORIGIN };
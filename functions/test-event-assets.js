@@ -0,0 +1,224 @@
+/**
+ * test-event-assets.js
+ *
+ * Which Storage objects belong to which event, which ones an event still
+ * points at, and what the sweeper and delete cleanup take: orphans and
+ * superseded renders, but never objects of a render still in flight, of an
+ * event it couldn't read, or that a copied event still uses. Runs offline
+ * against in-memory stand-ins for the bucket and Firestore.
+ *
+ * Usage:
+ *   node test-event-assets.js
+ */
+
+const assert = require('assert');
+const { assetDocId, assetRefs, referencedObjects, removeEventAssets, sweepEventAssets, SWEEP_REASON } = require('./shared/eventAssets');
+const { PREVIEW_STATUS, STALE_CLAIM_MS } = require('./shared/previewState');
+
+const BUCKET = 'ville-app.appspot.com';
+const NOW    = Date.parse('2026-03-15T12:00:00Z');
+const OLD    = new Date(NOW - 30 * 24 * 60 * 60 * 1000).toISOString();
+const RECENT = new Date(NOW - 60 * 60 * 1000).toISOString();
+
+const tokenUrl = name => `https://firebasestorage.googleapis.com/v0/b/${BUCKET}/o/${encodeURIComponent(name)}?alt=media&token=t`;
+const claimAt  = msAgo => ({ id: 'c1', at: { toMillis: () => Date.now() - msAgo } });
+
+let checks = 0;
+
+/* ---------- assetDocId ---------- */
+const OWNERS = [
+  ['events/abc/output.mp4',        'abc'],
+  ['events/abc/preview-square.jpg','abc'],
+  ['events/abc.gif',               'abc'],
+  ['events/abc',                   null],
+  ['events/abc/sub/x.mp4',         null],
+  ['events/',                      null],
+  ['event_videos/abc/a.mp4',       null],
+  ['',                             null],
+  [undefined,                      null]
+];
+for (const [name, want] of OWNERS) {
+  assert.strictEqual(assetDocId(name), want, `assetDocId(${name})`);
+  checks++;
+}
+
+/* ---------- referencedObjects ---------- */
+const refs = referencedObjects({
+  event_video             : tokenUrl('event_videos/e1/clip.mp4'),
+  event_preview_vid       : tokenUrl('events/e1/output.mp4'),
+  event_preview_image     : `https://storage.googleapis.com/${BUCKET}/events/e1/fallback.jpg`,
+  event_photo             : 'https://cdn.example.com/photo.jpg',                              // external
+  og_card_image           : tokenUrl('events/e1/og-card.jpg').replace(BUCKET, 'other-bucket'), // other bucket
+  shareGifUrl             : 'not a url',
+  event_preview_renditions: [
+    { name: 'square', video_url: tokenUrl('events/e1/preview-square.mp4'), image_url: tokenUrl('events/e1/preview-square.jpg') },
+    null
+  ]
+}, BUCKET);
+assert.deepStrictEqual([...refs].sort(), [
+  'event_videos/e1/clip.mp4', 'events/e1/fallback.jpg', 'events/e1/output.mp4',
+  'events/e1/preview-square.jpg', 'events/e1/preview-square.mp4'
+]);
+assert.strictEqual(referencedObjects(null, BUCKET).size, 0);
+assert.strictEqual(referencedObjects({ event_preview_renditions: 'nope' }, BUCKET).size, 0);
+checks += 3;
+
+/* ---------- sweepEventAssets ---------- */
+function fakeBucket(objects) {
+  const deleted = [];
+  const files = objects.map(([name, updated, extra = {}]) => ({
+    name,
+    metadata: { name, updated, size: '1000', contentType: name.endsWith('.mp4') ? 'video/mp4' : 'image/jpeg', ...extra },
+    delete  : async () => { deleted.push(name); }
+  }));
+  const bucket = {
+    name    : BUCKET,
+    file    : name => files.find(f => f.name === name),
+    // Two objects a page, to cross page boundaries
+    getFiles: async ({ prefix, pageToken = 0 }) => {
+      const matching = files.filter(f => f.name.startsWith(prefix));
+      const page = matching.slice(pageToken, pageToken + 2);
+      return [page, pageToken + 2 < matching.length ? { pageToken: pageToken + 2 } : null];
+    }
+  };
+  return { bucket, deleted };
+}
+
+function fakeDb(events, { failing = [], getAllFails = false } = {}) {
+  const snap = (id, d) => ({ id, exists: Boolean(d), data: () => d, get: f => d?.[f] });
+  const matches = (d, field, op, value) =>
+    op === 'array-contains' ? Array.isArray(d[field]) && d[field].includes(value) : d[field] === value;
+  const doc  = (coll, id) => ({
+    id,
+    get: async () => {
+      if (failing.includes(id)) throw new Error('UNAVAILABLE');
+      return snap(id, coll === 'events' ? events[id] : undefined);
+    }
+  });
+  const collection = coll => ({
+    doc  : id => doc(coll, id),
+    where: (field, op, value) => ({
+      limit: n => ({
+        get: async () => {
+          const docs = Object.entries(coll === 'events' ? events : {})
+            .filter(([, d]) => matches(d, field, op, value)).slice(0, n).map(([id, d]) => snap(id, d));
+          return { empty: !docs.length, docs };
+        }
+      })
+    })
+  });
+  return {
+    collection,
+    getAll: async (...refs) => {
+      if (getAllFails) throw new Error('DEADLINE_EXCEEDED');
+      return Promise.all(refs.map(r => r.get()));
+    }
+  };
+}
+
+const EVENTS = {
+  ready: {
+    event_video        : tokenUrl('event_videos/ready/clip.mp4'),
+    preview_status     : PREVIEW_STATUS.READY,
+    event_preview_vid  : tokenUrl('events/ready/output.mp4'),
+    event_preview_image: tokenUrl('events/ready/fallback.jpg')
+  },
+  rendering: { preview_status: PREVIEW_STATUS.PROCESSING, preview_claim: claimAt(60 * 1000) },
+  abandoned: { preview_status: PREVIEW_STATUS.PROCESSING, preview_claim: claimAt(STALE_CLAIM_MS + 1000) },
+  // Copied from the deleted event 'gone' and still showing its upload and preview
+  copy     : { asset_refs: ['event_videos/gone/clip.mp4', 'events/gone/output.mp4'] }
+};
+
+const OBJECTS = [
+  ['events/ready/output.mp4',          OLD],
+  ['events/ready/fallback.jpg',        OLD],
+  ['events/ready/preview-square.mp4',  OLD],      // superseded
+  ['events/ready/notes.txt',           OLD],      // not ours to judge
+  ['events/gone/output.mp4',           OLD],      // event deleted
+  ['events/gone.gif',                  OLD],      // event deleted
+  ['events/fresh-gone/output.mp4',     RECENT],   // in grace
+  ['events/rendering/preview-wide.mp4',OLD],      // render in flight
+  ['events/abandoned/preview-wide.mp4',OLD],      // claim went stale
+  ['events/__bad__/output.mp4',        OLD],      // can't be a doc ID
+  ['events/flaky/output.mp4',          OLD],      // read fails (getAll run)
+  ['event_videos/ready/clip.mp4',      OLD],
+  ['event_videos/ready/older.mp4',     OLD],      // replaced upload
+  ['event_videos/gone/clip.mp4',       OLD],      // event deleted
+  ['event_videos/unreadable/clip.mp4', OLD]       // lookup fails
+];
+
+(async () => {
+  {
+    const { bucket, deleted } = fakeBucket(OBJECTS);
+    const db = fakeDb(EVENTS, { failing: ['unreadable'] });
+    const report = await sweepEventAssets(db, bucket, { dryRun: false, graceDays: 7, now: NOW, pageSize: 2 });
+
+    assert.deepStrictEqual(deleted.sort(), [
+      'event_videos/ready/older.mp4',
+      'events/abandoned/preview-wide.mp4',
+      'events/flaky/output.mp4',
+      'events/gone.gif',
+      'events/ready/preview-square.mp4'
+    ]);
+    assert.strictEqual(report.scanned, OBJECTS.length);
+    assert.strictEqual(report.inGrace, 1);
+    assert.strictEqual(report.shared, 2, 'objects the copy uses kept');
+    assert.strictEqual(report.errors, 1, 'failed lookup counted');
+    assert.deepStrictEqual(report.reasons, { [SWEEP_REASON.EVENT_DELETED]: 2, [SWEEP_REASON.SUPERSEDED]: 3 });
+    checks += 6;
+  }
+
+  {
+    // A failed batch read keeps that page's objects and counts each event
+    const { bucket, deleted } = fakeBucket(OBJECTS.filter(([name]) => name.startsWith('events/')));
+    const report = await sweepEventAssets(fakeDb(EVENTS, { getAllFails: true }), bucket, { dryRun: false, now: NOW, pageSize: 2 });
+    assert.deepStrictEqual(deleted, []);
+    assert.strictEqual(report.matched, 0);
+    assert.ok(report.errors > 0);
+    checks += 3;
+  }
+
+  {
+    // Report mode deletes nothing but says what it would
+    const { bucket, deleted } = fakeBucket(OBJECTS);
+    const report = await sweepEventAssets(fakeDb(EVENTS, { failing: ['unreadable'] }), bucket, { dryRun: true, now: NOW, pageSize: 2 });
+    assert.deepStrictEqual(deleted, []);
+    assert.strictEqual(report.objects.length, 5);
+    checks += 2;
+  }
+
+  {
+    // Deleting an event leaves what another event points at, whether it lists
+    // the object in asset_refs or (written before asset_refs) only by URL
+    const gone = {
+      event_video      : tokenUrl('event_videos/gone/clip.mp4'),
+      event_preview_vid: tokenUrl('events/gone/output.mp4'),
+      shareGifUrl      : tokenUrl('events/gone.gif')
+    };
+    const others = {
+      copy  : { asset_refs: ['event_videos/gone/clip.mp4'] },
+      legacy: { event_preview_vid: gone.event_preview_vid }
+    };
+    const { bucket, deleted } = fakeBucket(OBJECTS);
+    const { removed, kept } = await removeEventAssets(fakeDb(others), bucket, 'gone', gone);
+    assert.deepStrictEqual(removed, ['events/gone.gif']);
+    assert.deepStrictEqual(kept.sort(), ['event_videos/gone/clip.mp4', 'events/gone/output.mp4']);
+    assert.deepStrictEqual(deleted, ['events/gone.gif']);
+
+    // With no one else using them, all three go
+    const alone = fakeBucket(OBJECTS);
+    const result = await removeEventAssets(fakeDb({}), alone.bucket, 'gone', gone);
+    assert.deepStrictEqual(result.removed.sort(), ['event_videos/gone/clip.mp4', 'events/gone.gif', 'events/gone/output.mp4']);
+    checks += 4;
+  }
+
+  /* ---------- assetRefs ---------- */
+  assert.deepStrictEqual(assetRefs(EVENTS.ready, BUCKET), ['event_videos/ready/clip.mp4', 'events/ready/fallback.jpg', 'events/ready/output.mp4']);
+  assert.deepStrictEqual(assetRefs(undefined, BUCKET), []);
+  checks += 2;
+
+  console.log(`✅ ${checks} event asset checks passed`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * test-event-status.js
+ *
+ * Where an event is in its lifecycle, from both the event_status string and
+ * the older boolean flags, and what that means for schema.org status and
+ * offer availability. Runs offline – no Firestore needed.
+ *
+ * Usage:
+ *   node test-event-status.js
+ */
+
+const assert = require('assert');
+const { STATUS, AVAILABILITY, eventStatus, eventLifecycle, hasEnded, isSoldOut, statusLabel } = require('./shared/eventStatus');
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const ts  = iso => ({ toDate: () => new Date(iso) });
+const UPCOMING = { start_date: ts('2026-03-20T20:00:00Z') };
+
+let checks = 0;
+
+/* ---------- eventStatus ---------- */
+const STATUSES = [
+  ['plain',                    {}, STATUS.SCHEDULED],
+  ['status string',            { event_status: 'Cancelled' }, STATUS.CANCELLED],
+  ['US spelling',              { event_status: 'canceled' }, STATUS.CANCELLED],
+  ['boolean flag',             { is_cancelled: true }, STATUS.CANCELLED],
+  ['string flag',              { postponed: 'true' }, STATUS.POSTPONED],
+  ['falsy string flag',        { cancelled: 'false' }, STATUS.SCHEDULED],
+  ['deleted_at',               { deleted_at: ts('2026-03-01T00:00:00Z'), event_status: 'cancelled' }, STATUS.DELETED],
+  ['deleted beats cancelled',  { is_deleted: true, cancelled: true }, STATUS.DELETED],
+  ['cancelled beats postponed',{ cancelled: true, event_status: 'postponed' }, STATUS.CANCELLED],
+  ['rescheduled string',       { event_status: 'rescheduled' }, STATUS.RESCHEDULED],
+  ['moved start',              { ...UPCOMING, previous_start_date: ts('2026-03-13T20:00:00Z') }, STATUS.RESCHEDULED],
+  ['same previous start',      { ...UPCOMING, previous_start_date: ts('2026-03-20T20:00:00Z') }, STATUS.SCHEDULED],
+  ['unknown string',           { event_status: 'live' }, STATUS.SCHEDULED]
+];
+for (const [label, d, want] of STATUSES) {
+  assert.strictEqual(eventStatus(d), want, `eventStatus: ${label}`);
+  checks++;
+}
+assert.strictEqual(eventStatus(), STATUS.SCHEDULED);
+checks++;
+
+/* ---------- hasEnded ---------- */
+const ENDED = [
+  ['upcoming',                 UPCOMING, false],
+  ['past end_date',            { start_date: ts('2026-03-10T20:00:00Z'), end_date: ts('2026-03-10T23:00:00Z') }, true],
+  ['multi-day, still running', { start_date: ts('2026-03-10T20:00:00Z'), end_date: ts('2026-03-16T00:00:00Z') }, false],
+  ['started 3h ago, no end',   { start_date: ts('2026-03-15T09:00:00Z') }, false],
+  ['started 5h ago, no end',   { start_date: ts('2026-03-15T07:00:00Z') }, true],
+  ['no dates',                 {}, false]
+];
+for (const [label, d, want] of ENDED) {
+  assert.strictEqual(hasEnded(d, NOW), want, `hasEnded: ${label}`);
+  checks++;
+}
+
+/* ---------- isSoldOut ---------- */
+const SOLD_OUT = [
+  ['flag',                 { sold_out: true }, true],
+  ['at capacity',          { capacity: 50, attendee_count: 50 }, true],
+  ['attendee list',        { max_attendees: 2, attendees: ['a', 'b'] }, true],
+  ['room left',            { capacity: '50', going_count: '49' }, false],
+  ['unknown capacity',     { attendee_count: 500 }, false],
+  ['zero capacity',        { capacity: 0, attendee_count: 3 }, false],
+  ['unknown attendance',   { capacity: 10 }, false]
+];
+for (const [label, d, want] of SOLD_OUT) {
+  assert.strictEqual(isSoldOut(d), want, `isSoldOut: ${label}`);
+  checks++;
+}
+
+/* ---------- eventLifecycle ---------- */
+const LIFECYCLES = [
+  // [ label, doc, availability, schema status ]
+  ['upcoming',  UPCOMING, AVAILABILITY.IN_STOCK, 'https://schema.org/EventScheduled'],
+  ['sold out',  { ...UPCOMING, sold_out: true }, AVAILABILITY.SOLD_OUT, 'https://schema.org/EventScheduled'],
+  ['cancelled', { ...UPCOMING, cancelled: true, sold_out: true }, AVAILABILITY.DISCONTINUED, 'https://schema.org/EventCancelled'],
+  ['postponed', { ...UPCOMING, postponed: true }, AVAILABILITY.IN_STOCK, 'https://schema.org/EventPostponed'],
+  ['ended',     { start_date: ts('2026-03-01T20:00:00Z') }, AVAILABILITY.DISCONTINUED, 'https://schema.org/EventScheduled'],
+  ['deleted',   { ...UPCOMING, deleted: true }, AVAILABILITY.DISCONTINUED, 'https://schema.org/EventScheduled']
+];
+for (const [label, d, availability, schemaStatus] of LIFECYCLES) {
+  const life = eventLifecycle(d, NOW);
+  assert.strictEqual(life.availability, availability, `eventLifecycle: ${label}: availability`);
+  assert.strictEqual(life.schemaStatus, schemaStatus, `eventLifecycle: ${label}: schema status`);
+  checks++;
+}
+
+const moved = eventLifecycle({ ...UPCOMING, previous_start_date: ts('2026-03-13T20:00:00Z') }, NOW);
+assert.strictEqual(moved.schemaStatus, 'https://schema.org/EventRescheduled');
+assert.strictEqual(moved.previousStartDate.toISOString(), '2026-03-13T20:00:00.000Z');
+assert.strictEqual(eventLifecycle({ ...UPCOMING, cancelled: true, previous_start_date: ts('2026-03-13T20:00:00Z') }, NOW).previousStartDate, null);
+checks += 3;
+
+/* ---------- statusLabel ---------- */
+assert.deepStrictEqual(Object.values(STATUS).map(statusLabel), ['', 'Rescheduled', 'Cancelled', 'Postponed', '']);
+checks++;
+
+console.log(`✅ ${checks} event status checks passed`);
@@ -0,0 +1,73 @@
+/**
+ * test-event-time.js
+ *
+ * Event dates in the event's own timezone: which zone an event gets, its
+ * ISO-8601 form with offset (across DST and half-hour zones), and the
+ * human-readable line. Runs offline – no Firestore needed.
+ *
+ * Usage:
+ *   node test-event-time.js
+ */
+
+const assert = require('assert');
+const { eventTimeZone, isoInZone, formatEventWhen } = require('./shared/eventTime');
+
+const ts = iso => ({ toDate: () => new Date(iso) });
+// ICU versions differ in which space they put before AM/PM
+const plain = s => s.replace(/\s/g, ' ');
+
+let checks = 0;
+
+/* ---------- eventTimeZone ---------- */
+const ZONES = [
+  ['stored zone',            { event_timezone: 'Europe/Madrid', event_state: 'CA' }, 'Europe/Madrid'],
+  ['legacy timezone field',  { timezone: 'America/Mexico_City' }, 'America/Mexico_City'],
+  ['invalid stored zone',    { event_timezone: 'Mars/Base', event_location: { _latitude: 40.42, _longitude: -3.70 } }, 'Europe/Madrid'],
+  ['GeoPoint coordinates',   { event_location: { _latitude: 39.74, _longitude: -104.99 } }, 'America/Denver'],
+  ['plain coordinates',      { event_location: { latitude: 19.43, longitude: -99.13 }, event_state: 'TX' }, 'America/Mexico_City'],
+  ['state fallback',         { event_state: ' az ' }, 'America/Phoenix'],
+  ['null island is unset',   { event_location: { latitude: 0, longitude: 0 }, event_state: 'NY' }, 'America/New_York'],
+  ['coordinates off range',  { event_location: { _latitude: 999, _longitude: 0 } }, 'UTC'],
+  ['unknown state',          { event_state: 'Jalisco' }, 'UTC'],
+  ['nothing',                undefined, 'UTC']
+];
+for (const [label, d, want] of ZONES) {
+  assert.strictEqual(eventTimeZone(d), want, `eventTimeZone: ${label}`);
+  checks++;
+}
+
+/* ---------- isoInZone ---------- */
+const ISO = [
+  // [ instant, zone, wall clock with offset ]
+  ['2026-03-01T02:00:00Z', 'America/Denver',   '2026-02-28T19:00:00-07:00'],   // previous local day
+  ['2026-07-01T02:00:00Z', 'America/Denver',   '2026-06-30T20:00:00-06:00'],   // DST
+  ['2026-03-08T09:30:00Z', 'America/New_York', '2026-03-08T05:30:00-04:00'],   // just after the spring change
+  ['2026-03-01T02:00:00Z', 'Asia/Kolkata',     '2026-03-01T07:30:00+05:30'],
+  ['2026-03-01T02:00:00Z', 'UTC',              '2026-03-01T02:00:00Z'],
+  ['2026-03-01T02:00:00.750Z', 'Europe/Madrid','2026-03-01T03:00:00+01:00']    // sub-second dropped
+];
+for (const [iso, zone, want] of ISO) {
+  assert.strictEqual(isoInZone(ts(iso), zone), want, `isoInZone(${iso}, ${zone})`);
+  checks++;
+}
+assert.strictEqual(isoInZone(new Date('2026-03-01T02:00:00Z')), '2026-03-01T02:00:00Z');
+assert.strictEqual(isoInZone(null), '');
+assert.strictEqual(isoInZone('2026-03-01'), '');
+assert.strictEqual(isoInZone(new Date('nope')), '');
+checks += 4;
+
+/* ---------- formatEventWhen ---------- */
+const start = ts('2026-03-01T02:00:00Z');
+assert.strictEqual(plain(formatEventWhen(start, ts('2026-03-01T04:00:00Z'), 'America/Denver')),
+  'Sat, Feb 28 · 7:00 PM – 9:00 PM MST');
+// An end on another local day isn't squeezed into a time range
+assert.strictEqual(plain(formatEventWhen(start, ts('2026-03-01T10:00:00Z'), 'America/Denver')),
+  'Sat, Feb 28 · 7:00 PM MST');
+assert.strictEqual(plain(formatEventWhen(start, null, 'America/Denver')), 'Sat, Feb 28 · 7:00 PM MST');
+// Same instant, the event's zone decides the day
+assert.ok(plain(formatEventWhen(start, null, 'Europe/Madrid', 'en-GB')).startsWith('Sun 1 Mar · 3:00'));
+assert.ok(/^dom/i.test(formatEventWhen(start, null, 'Europe/Madrid', 'es-ES')));
+assert.strictEqual(formatEventWhen(null, start), '');
+checks += 6;
+
+console.log(`✅ ${checks} event time checks passed`);
@@ -0,0 +1,71 @@
+/**
+ * test-ffmpeg.js
+ *
+ * Which ffmpeg builds resolveTool() accepts: a build is judged by the
+ * filters and encoders the pipelines use, not by its version string, so
+ * the installer's unversioned static build qualifies. Runs offline; the
+ * last checks use the bundled installer binary when it is present.
+ *
+ * Usage:
+ *   node test-ffmpeg.js
+ */
+
+const assert = require('assert');
+const { FFMPEG_NEEDS, missingFeatures, resolveTool } = require('./shared/ffmpeg');
+
+// Shaped like `ffmpeg -hide_banner -filters` / `-encoders`
+const filterListing = names => [
+  'Filters:',
+  '  T.. = Timeline support',
+  '  A = Audio input/output',
+  '  | = Source or sink filter',
+  ...names.map(n => ` TSC ${n.padEnd(16)} V->V       Some filter.`)
+].join('\n');
+const encoderListing = names => [
+  'Encoders:',
+  ' V..... = Video',
+  ' ------',
+  ...names.map(n => ` V..... ${n.padEnd(20)} Some encoder`)
+].join('\n');
+
+let checks = 0;
+
+(async () => {
+  /* ---------- missingFeatures ---------- */
+  const full = { filters: filterListing(FFMPEG_NEEDS.filters), encoders: encoderListing(FFMPEG_NEEDS.encoders) };
+  assert.deepStrictEqual(missingFeatures(FFMPEG_NEEDS, full), []);
+  checks++;
+
+  // No freetype (drawtext) and no libx264: a common minimal build
+  const minimal = {
+    filters : filterListing(FFMPEG_NEEDS.filters.filter(n => n !== 'drawtext')),
+    encoders: encoderListing(FFMPEG_NEEDS.encoders.filter(n => n !== 'libx264').concat('h264_v4l2m2m'))
+  };
+  assert.deepStrictEqual(missingFeatures(FFMPEG_NEEDS, minimal), ['filter drawtext', 'encoder libx264']);
+  checks++;
+
+  // Legend lines and look-alike names don't count as having a feature
+  const lookalikes = { filters: filterListing(['scale2ref', 'drawbox']), encoders: encoderListing(['libx264rgb']) };
+  const missing = missingFeatures({ filters: ['scale', 'drawtext'], encoders: ['libx264'] }, lookalikes);
+  assert.deepStrictEqual(missing, ['filter scale', 'filter drawtext', 'encoder libx264']);
+  assert.strictEqual(missingFeatures(FFMPEG_NEEDS, { filters: '', encoders: '' }).length,
+    FFMPEG_NEEDS.filters.length + FFMPEG_NEEDS.encoders.length);
+  checks += 2;
+
+  /* ---------- resolveTool with the bundled build ---------- */
+  let bundled = null;
+  try { bundled = require('@ffmpeg-installer/ffmpeg').path; } catch { /* not installed */ }
+  if (bundled) {
+    // The unversioned git build has everything, so the package tier serves it
+    delete process.env.FFMPEG_PATH;
+    const tool = await resolveTool('ffmpeg');
+    assert.deepStrictEqual([tool.source, tool.path], ['package', bundled]);
+    assert.match(tool.version, /^ffmpeg version N-/);
+    checks += 2;
+  }
+
+  console.log(`✅ ${checks} ffmpeg checks passed`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
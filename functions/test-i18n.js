@@ -0,0 +1,92 @@
+/**
+ * test-i18n.js
+ *
+ * Language negotiation and the URLs it produces: which language a request
+ * gets, which URL serves it, and that a page's hreflang set and canonical
+ * agree with that. Runs offline – no Firestore or network needed.
+ *
+ * Usage:
+ *   node test-i18n.js
+ */
+
+const assert = require('assert');
+const { DEFAULT_LANG, pickLanguage, fromAcceptLanguage, localizedUrl, languageCacheControl } = require('./shared/i18n');
+const { buildHead } = require('./shared/metaBuilder');
+
+const BASE = 'https://ville.social/event/abc';
+const req  = (lang, acceptLanguage) => ({ query: lang ? { lang } : {}, headers: acceptLanguage ? { 'accept-language': acceptLanguage } : {} });
+
+let checks = 0;
+
+/* ---------- pickLanguage ---------- */
+const PICKS = [
+  // [ ?lang, Accept-Language, entity language ] → [ lang, home, fromHeader ]
+  [[undefined, undefined, undefined],       ['en', 'en', true]],
+  [[undefined, 'es-MX,es;q=0.9', undefined], ['es', 'en', true]],
+  [[undefined, 'fr-FR', undefined],          ['en', 'en', true]],     // unsupported
+  [[undefined, 'es;q=0, en', undefined],     ['en', 'en', true]],
+  [[undefined, 'es-MX', 'en'],               ['en', 'en', false]],    // entity beats header
+  [[undefined, 'en-US', 'es'],               ['es', 'es', false]],
+  [[undefined, undefined, 'es-MX'],          ['es', 'es', false]],
+  [['en', undefined, 'es'],                  ['en', 'es', false]],    // explicit beats entity
+  [['es', 'en', undefined],                  ['es', 'en', false]],
+  [['xx', 'es', undefined],                  ['es', 'en', true]]      // unsupported ?lang ignored
+];
+for (const [[lang, accept, entity], [want, home, fromHeader]] of PICKS) {
+  const got = pickLanguage(req(lang, accept), entity);
+  assert.deepStrictEqual(got, { lang: want, home, fromHeader }, `pickLanguage(${lang}, ${accept}, ${entity})`);
+  checks++;
+}
+
+assert.strictEqual(fromAcceptLanguage(''), '');
+assert.strictEqual(fromAcceptLanguage('de, es;q=0.5, en;q=0.8'), 'en');
+checks += 2;
+
+/* ---------- localizedUrl ---------- */
+assert.strictEqual(localizedUrl(BASE, DEFAULT_LANG), BASE);
+assert.strictEqual(localizedUrl(BASE, 'es'), `${BASE}?lang=es`);
+assert.strictEqual(localizedUrl(BASE, 'es', 'es'), BASE);
+assert.strictEqual(localizedUrl(BASE, 'en', 'es'), `${BASE}?lang=en`);
+checks += 4;
+
+/* ---------- languageCacheControl ---------- */
+const SHARED = 'public,max-age=300,s-maxage=300';
+assert.strictEqual(languageCacheControl({ fromHeader: false }, SHARED), SHARED);
+assert.strictEqual(languageCacheControl({ fromHeader: true }, SHARED), 'private,max-age=300');
+assert.strictEqual(languageCacheControl({ fromHeader: true }, 'no-cache, no-store, must-revalidate'), 'no-cache, no-store, must-revalidate');
+checks += 3;
+
+/* ---------- hreflang / canonical agree with what each URL serves ---------- */
+const links = head => {
+  const out = {};
+  for (const [, href, lang] of head.matchAll(/<link rel="alternate" href="([^"]+)" hreflang="([^"]+)">/g)) {
+    assert.ok(!(lang in out), `duplicate hreflang ${lang}`);
+    out[lang] = href.replace(/&amp;/g, '&');
+  }
+  return { hreflang: out, canonical: head.match(/<link rel="canonical" href="([^"]+)">/)[1] };
+};
+
+for (const entityLang of [undefined, 'en', 'es']) {
+  const event = { eventID: 'abc', event_title: 'Fiesta', event_language: entityLang };
+  for (const asked of [undefined, 'en', 'es']) {
+    const language = pickLanguage(req(asked), entityLang);
+    const pageUrl  = localizedUrl(BASE, language.lang, language.home);
+    const { hreflang, canonical } = links(buildHead('event', event, { pageUrl, baseUrl: BASE, lang: language.lang, home: language.home }));
+    const label = `event_language=${entityLang} ?lang=${asked}`;
+
+    assert.strictEqual(canonical, pageUrl, `${label}: canonical`);
+    assert.strictEqual(hreflang[language.lang], pageUrl, `${label}: own hreflang`);
+    assert.strictEqual(hreflang['x-default'], BASE, `${label}: x-default`);
+
+    // Each alternate, requested without headers, serves the language it claims
+    for (const [lang, href] of Object.entries(hreflang)) {
+      if (lang === 'x-default') continue;
+      const q = new URL(href).searchParams.get('lang') || undefined;
+      assert.strictEqual(pickLanguage(req(q), entityLang).lang, lang, `${label}: ${href} is not ${lang}`);
+    }
+    assert.deepStrictEqual(Object.keys(hreflang).sort(), ['en', 'es', 'x-default'], `${label}: hreflang set`);
+    checks++;
+  }
+}
+
+console.log(`✅ ${checks} i18n checks passed`);
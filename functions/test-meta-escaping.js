@@ -0,0 +1,175 @@
+/**
+ * test-meta-escaping.js
+ *
+ * Feeds hostile event / user / video docs and request paths through the meta
+ * builders and checks that nothing can break out of its HTML context.
+ * Runs offline – no Firestore or network needed.
+ *
+ * Usage:
+ *   node test-meta-escaping.js
+ */
+
+const assert = require('assert');
+const { buildHead, buildNotFoundHead } = require('./shared/metaBuilder');
+const { pathKey, canonicalUrl } = require('./shared/requestPath');
+const { renderVideoEmbed } = require('./shared/eventEmbed');
+
+const ts = iso => ({ toDate: () => new Date(iso) });
+
+/* ---------- Hostile corpus ---------- */
+const PAYLOADS = [
+  '</title><script>alert(1)</script>',
+  '"><img src=x onerror=alert(1)>',
+  "'><svg onload=alert(1)>",
+  '</script><script>alert(1)</script>',
+  '<!--<script>',
+  '\u2028\u2029</script>',
+  '`${alert(1)}`',
+  '&lt;already-escaped&gt; & "quoted"',
+  "';alert(1);//",
+  '\\u003c/script\\u003e'
+];
+
+const HOSTILE_URLS = [
+  'javascript:alert(1)',
+  ' JaVaScRiPt:alert(1)',
+  'java\tscript:alert(1)',
+  'data:text/html,<script>alert(1)</script>',
+  'https://x.test/a.jpg?"><script>alert(1)</script>'
+];
+
+const PATHS = [
+  '/event/%3Cscript%3Ealert(1)%3C%2Fscript%3E',
+  '/event/"><svg onload=alert(1)>',
+  "/u/';alert(1);//",
+  '/u/%27%3Balert(1)%3B%2F%2F',
+  '/v/%E0%A4%A',                 // malformed escape
+  '/v/abc%00def',
+  '/v/..%2F..%2Fadmin',
+  '/event/ok?x="><script>alert(1)</script>'
+];
+
+/* ---------- Structural checks ---------- */
+
+// The only <script> blocks allowed are our JSON-LD blocks and the redirect script
+function assertNoBreakout(head, label) {
+  const opens  = head.match(/<script\b/gi) || [];
+  const closes = head.match(/<\/script>/gi) || [];
+  assert.strictEqual(opens.length, closes.length, `${label}: unbalanced <script>`);
+
+  const scripts = [...head.matchAll(/<script([^>]*)>([\s\S]*?)<\/script>/gi)];
+  assert.strictEqual(scripts.length, opens.length, `${label}: nested/broken <script>`);
+
+  for (const [, attrs, body] of scripts) {
+    assert.ok(!/<\/?script/i.test(body), `${label}: script tag inside script body`);
+    assert.ok(!/<!--/.test(body), `${label}: HTML comment opener inside script body`);
+    if (/application\/ld\+json/.test(attrs)) {
+      JSON.parse(body);                       // must still be valid JSON
+    } else {
+      const m = body.match(/var deepLink = ("(?:[^"\\]|\\.)*");/);
+      assert.ok(m, `${label}: deepLink literal missing or malformed`);
+      assert.ok(JSON.parse(m[1]).startsWith('ville://'), `${label}: deepLink scheme changed`);
+    }
+  }
+
+  // Outside scripts, every tag must be one of ours with well-formed attributes
+  const outside = head.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+                      .replace(/<!--[^]*?-->/g, '');
+  for (const tag of outside.match(/<[^>]*>/g) || []) {
+    assert.ok(
+      /^<\/?(meta|link|title)( [a-z:-]+="[^"<>]*")*\s*>$/i.test(tag.replace(/\s+/g, ' ')),
+      `${label}: unexpected tag ${tag}`
+    );
+  }
+  const title = outside.match(/<title>([^<]*)<\/title>/);
+  assert.ok(title, `${label}: <title> missing or broken`);
+  assert.ok(!/javascript:|data:text/i.test(outside.replace(/content="[^"]*(alert|&lt;)[^"]*"/g, '')),
+    `${label}: dangerous URL scheme survived`);
+}
+
+/* ---------- Runs ---------- */
+let checks = 0;
+
+for (const p of PAYLOADS) {
+  for (const u of HOSTILE_URLS) {
+    const pageUrl = canonicalUrl('event', p);
+    const event = {
+      eventID: p, event_title: p, event_description: p, event_venue: p,
+      event_city: p, event_state: p, event_address: p, event_zip: p,
+      event_creator_displayname: p, interests: [p, { name: p }],
+      event_preview_image: u, event_preview_vid: u,
+      feeMin: p, feeMax: p, minAge: p,
+      start_date: ts('2030-01-01T20:00:00Z'), created_time: ts('2029-01-01T00:00:00Z'),
+      event_location: { latitude: p, longitude: p }
+    };
+    assertNoBreakout(buildHead('event', event, { pageUrl }), `event ${JSON.stringify(p)} ${u}`);
+
+    const user = { username: p, display_name: p, bio: p, photo_url: u };
+    assertNoBreakout(buildHead('user', user, { pageUrl: canonicalUrl('u', p), stats: { followers: p, events: p } }),
+      `user ${JSON.stringify(p)}`);
+
+    const video = { video_url: u, thumbnail_url: u, caption: p, width: p, height: p, duration: p };
+    assertNoBreakout(buildHead('video', video, {
+      pageUrl: canonicalUrl('v', p), videoId: p,
+      creator: { username: p, display_name: p }, event: { eventID: p, event_title: p }
+    }), `video ${JSON.stringify(p)}`);
+
+    assertNoBreakout(buildHead('listing', {
+      listing: { kind: 'city', state: p, city: p }, place: p, interest: p, events: [event]
+    }, { pageUrl: canonicalUrl('events', p) }), `listing ${JSON.stringify(p)}`);
+
+    checks += 4;
+  }
+  assertNoBreakout(buildNotFoundHead('event', canonicalUrl('event', p)), `404 ${JSON.stringify(p)}`);
+  checks++;
+}
+
+// JSON-LD must carry the original text, not an HTML-escaped copy
+{
+  const title = 'Rock & Roll "Live" <Night>';
+  const head  = buildHead('event', { eventID: 'x', event_title: title }, { pageUrl: canonicalUrl('event', 'x') });
+  const ld    = JSON.parse(head.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.strictEqual(ld.name, title);
+  assert.ok(head.includes('<title>Rock &amp; Roll &quot;Live&quot; &lt;Night&gt;'));
+  checks++;
+}
+
+// Request paths: keys are decoded, slash/control-free, and canonical URLs re-encode them
+for (const raw of PATHS) {
+  const segment = raw.split('/')[1];
+  const req = { path: raw, originalUrl: raw };
+  const key = pathKey(req, segment);
+  assert.ok(!/[\u0000-\u001F/\\]/.test(key), `path ${raw}: unsafe key ${JSON.stringify(key)}`);
+  if (key) {
+    const pageUrl = canonicalUrl(segment, key);
+    assert.ok(/^https:\/\/ville\.social\/[a-z]+\/[A-Za-z0-9%._~!*'()-]+$/.test(pageUrl), `path ${raw}: bad canonical ${pageUrl}`);
+    assert.ok(!pageUrl.includes('?'), `path ${raw}: query leaked into canonical`);
+  }
+  checks++;
+}
+
+// X frames the embed pages; the MP4 itself only goes out as the stream
+{
+  const clip  = 'https://storage.googleapis.com/b/events/x/output.mp4';
+  const tag   = (head, name) => head.match(new RegExp(`name="twitter:${name}"\\s+content="([^"]*)"`))?.[1];
+  const event = buildHead('event', { eventID: 'a b', event_title: 'x', event_preview_vid: clip }, { pageUrl: canonicalUrl('event', 'a b') });
+  assert.strictEqual(tag(event, 'player'), 'https://ville.social/embed/event/a%20b');
+  assert.strictEqual(tag(event, 'player:stream'), clip);
+  const video = buildHead('video', { video_url: clip, width: 720, height: 1280 }, { pageUrl: canonicalUrl('v', 'v1'), videoId: 'v1' });
+  assert.strictEqual(tag(video, 'player'), 'https://ville.social/embed/video/v1');
+  assert.deepStrictEqual([tag(video, 'player:width'), tag(video, 'player:height'), tag(video, 'player:stream')], ['720', '1280', clip]);
+  assert.strictEqual(tag(buildHead('video', {}, { pageUrl: canonicalUrl('v', 'v1'), videoId: 'v1' }), 'card'), 'summary_large_image');
+  checks += 3;
+}
+
+// The player page has no scripts to break into and no hostile URL survives
+for (const p of PAYLOADS) {
+  for (const u of HOSTILE_URLS) {
+    const page = renderVideoEmbed({ video_url: u, thumbnail_url: u, caption: p }, { pageUrl: canonicalUrl('v', p), videoId: p });
+    assert.ok(!/<script|<svg|<img/i.test(page), `player ${JSON.stringify(p)} ${u}: injected tag`);
+    assert.ok(!/(src|poster|href)="\s*(javascript|data|java\s)/i.test(page), `player ${u}: dangerous URL survived`);
+    checks++;
+  }
+}
+
+console.log(`✅ ${checks} escaping checks passed`);
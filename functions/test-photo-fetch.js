@@ -0,0 +1,69 @@
+/**
+ * test-photo-fetch.js
+ *
+ * Which og card photo URLs the function is willing to fetch, and which
+ * resolved addresses it refuses to connect to. Runs offline – no DNS or
+ * network needed.
+ *
+ * Usage:
+ *   node test-photo-fetch.js
+ */
+
+const assert = require('assert');
+const { isPublicAddress, photoAllowed } = require('./shared/photoFetch');
+
+const BUCKET = 'ville-app.appspot.com';
+
+let checks = 0;
+
+/* ---------- Addresses ---------- */
+const ADDRESSES = [
+  ['8.8.8.8',            true],
+  ['2606:4700::1111',    true],
+  ['::ffff:8.8.8.8',     true],
+  ['127.0.0.1',          false],
+  ['10.0.0.7',           false],
+  ['172.20.1.1',         false],
+  ['192.168.1.1',        false],
+  ['100.64.0.1',         false],   // CGNAT
+  ['169.254.169.254',    false],   // metadata server
+  ['0.0.0.0',            false],
+  ['::1',                false],
+  ['::',                 false],
+  ['::ffff:127.0.0.1',   false],
+  ['::ffff:a9fe:a9fe',   false],   // 169.254.169.254, hex form
+  ['fe80::1',            false],
+  ['fd12:3456::1',       false],
+  ['metadata.google.internal', false]
+];
+for (const [address, want] of ADDRESSES) {
+  assert.strictEqual(isPublicAddress(address), want, `isPublicAddress(${address})`);
+  checks++;
+}
+
+/* ---------- URLs ---------- */
+const URLS = [
+  [`https://firebasestorage.googleapis.com/v0/b/${BUCKET}/o/events%2Fe1%2Fphoto.jpg?alt=media`, true],
+  [`https://storage.googleapis.com/${BUCKET}/events/e1/photo.jpg`, true],
+  ['https://ville.social/img/e1.jpg', true],
+  ['https://cdn.ville.social/img/e1.jpg', true],
+  ['https://firebasestorage.googleapis.com/v0/b/someone-else.appspot.com/o/x.jpg', false],
+  ['https://storage.googleapis.com/someone-else/x.jpg', false],
+  ['http://ville.social/img/e1.jpg', false],              // not https
+  ['https://ville.social:8443/img/e1.jpg', false],
+  ['https://user:pw@ville.social/img/e1.jpg', false],
+  ['https://evilville.social/img/e1.jpg', false],
+  ['https://ville.social.evil.test/img/e1.jpg', false],
+  ['https://169.254.169.254/computeMetadata/v1/', false],
+  ['https://localhost/photo.jpg', false],
+  [`gs://${BUCKET}/events/e1/photo.jpg`, false],
+  ['file:///etc/passwd', false],
+  ['not a url', false],
+  ['', false]
+];
+for (const [url, want] of URLS) {
+  assert.strictEqual(photoAllowed(url, BUCKET), want, `photoAllowed(${url})`);
+  checks++;
+}
+
+console.log(`✅ ${checks} photo fetch checks passed`);
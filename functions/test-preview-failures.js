@@ -0,0 +1,89 @@
+/**
+ * test-preview-failures.js
+ *
+ * How a failed preview render is classified and retried: error classes and
+ * transience, the retry schedule, and retry task ids. Runs offline – no
+ * Firestore or task queue needed.
+ *
+ * Usage:
+ *   node test-preview-failures.js
+ */
+
+const assert = require('assert');
+const {
+  ERROR_CLASS, MAX_PREVIEW_ATTEMPTS, PreviewError, step, failureInfo, retryDelay, retryTaskId, alreadyQueued, needsAttention
+} = require('./shared/previewFailures');
+
+let checks = 0;
+
+(async () => {
+  /* ---------- retryDelay ---------- */
+  const transient = { transient: true };
+  const RETRIES = [
+    // [ info, attempt that failed, seconds ]
+    [transient, 1, 60],
+    [transient, 2, 300],
+    [transient, MAX_PREVIEW_ATTEMPTS, null],       // out of attempts
+    [transient, MAX_PREVIEW_ATTEMPTS + 1, null],   // stale claim counted past the cap
+    [{ transient: false }, 1, null]
+  ];
+  for (const [info, attempt, want] of RETRIES) {
+    assert.strictEqual(retryDelay(info, attempt), want, `retryDelay(${info.transient}, ${attempt})`);
+    checks++;
+  }
+
+  /* ---------- step / failureInfo ---------- */
+  const tagged = async (errorClass, err) => step(errorClass, Promise.reject(err)).then(
+    () => assert.fail('step resolved'),
+    e => failureInfo(e)
+  );
+  const CLASSIFY = [
+    [ERROR_CLASS.UPLOAD,    Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }), true],
+    [ERROR_CLASS.FIRESTORE, Object.assign(new Error('aborted'), { code: 10 }), true],
+    [ERROR_CLASS.DOWNLOAD,  Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), true],
+    [ERROR_CLASS.DOWNLOAD,  Object.assign(new Error('Not Found'), { code: 404 }), false],
+    [ERROR_CLASS.FFMPEG,    Object.assign(new Error('ffmpeg-mp4 exit 1'), { transient: false, stderrTail: 'Invalid data' }), false]
+  ];
+  for (const [errorClass, err, wantTransient] of CLASSIFY) {
+    const info = await tagged(errorClass, err);
+    assert.strictEqual(info.class, errorClass, `${err.message}: class`);
+    assert.strictEqual(info.transient, wantTransient, `${err.message}: transient`);
+    checks++;
+  }
+  // A PreviewError keeps the class it was raised with
+  const source = await tagged(ERROR_CLASS.DOWNLOAD, new PreviewError(ERROR_CLASS.SOURCE, 'not a video', { code: 'not_video' }));
+  assert.deepStrictEqual([source.class, source.code], [ERROR_CLASS.SOURCE, 'not_video']);
+  assert.strictEqual(needsAttention(source), false);
+  assert.strictEqual(needsAttention(failureInfo(new Error('boom'))), true);
+  assert.strictEqual(failureInfo(new Error('x'.repeat(800))).message.length, 500);
+  checks += 4;
+
+  /* ---------- Retry task ids ---------- */
+  const claim = { id: '0b6c3f0e-6f0a-4c55-9c43-0d1d2f6a9b11', key: 'a'.repeat(40), attempt: 1 };
+  const id = retryTaskId('evt 1/ü', claim);
+  assert.match(id, /^[\w-]+$/);
+  assert.ok(id.includes(claim.id));
+  // Same source, same attempt number, a later claim: a different task
+  assert.notStrictEqual(retryTaskId('evt', claim), retryTaskId('evt', { ...claim, id: 'f00d' }));
+  assert.ok(retryTaskId('x'.repeat(1500), claim).length <= 500);
+  checks += 4;
+
+  /* ---------- alreadyQueued ---------- */
+  const QUEUED = [
+    [{ code: 'functions/task-already-exists' }, true],
+    [{ code: 6 }, true],                             // gRPC ALREADY_EXISTS
+    [{ response: { status: 409 } }, true],
+    [{ code: 'functions/resource-exhausted' }, false],
+    [new Error('network'), false],
+    [undefined, false]
+  ];
+  for (const [err, want] of QUEUED) {
+    assert.strictEqual(alreadyQueued(err), want, `alreadyQueued(${JSON.stringify(err)})`);
+    checks++;
+  }
+
+  console.log(`✅ ${checks} preview failure checks passed`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
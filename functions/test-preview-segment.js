@@ -0,0 +1,115 @@
+/**
+ * test-preview-segment.js
+ *
+ * Which window of an upload the preview shows and which frame becomes the
+ * thumbnail, from synthetic analysis reports; plus the analysis pass's
+ * filtergraph keeping the report path to a single option value. Runs
+ * offline – no ffmpeg needed.
+ *
+ * Usage:
+ *   node test-preview-segment.js
+ */
+
+const assert = require('assert');
+const { analysisArgs, parseFrameReport, chooseSegment } = require('./shared/previewSegment');
+
+// 20 s at the analysis rate of 4 fps: steady, dull, well exposed unless `at` says otherwise
+const frames = at => Array.from({ length: 80 }, (_, i) => {
+  const t = i / 4;
+  return { t, scene: 0, ydif: 2, yavg: 110, black: false, ...at(t) };
+});
+const inRange = (t, from, to) => t >= from && t < to;
+
+let checks = 0;
+
+/* ---------- chooseSegment ---------- */
+// No analysis → the opening seconds, clipped to the source
+assert.deepStrictEqual(chooseSegment([], { duration: 6 }), { start: 0, duration: 6, thumbnail: 0, source: 'default' });
+assert.strictEqual(chooseSegment([], { duration: 6, sourceDuration: 4 }).duration, 4);
+checks += 2;
+
+// The lively stretch wins over dull footage
+const lively = chooseSegment(frames(t => (inRange(t, 10, 16) ? { ydif: 15 } : {})), { duration: 6 });
+assert.strictEqual(lively.source, 'auto');
+assert.strictEqual(lively.start, 10);
+checks += 2;
+
+// A black opening is skipped, for the clip and the thumbnail
+const fadeIn = chooseSegment(frames(t => (t < 3 ? { black: true, yavg: 5 } : {})), { duration: 6 });
+assert.ok(fadeIn.start >= 3, `fade-in start ${fadeIn.start}`);
+assert.ok(fadeIn.thumbnail >= 3, `fade-in thumbnail ${fadeIn.thumbnail}`);
+checks += 2;
+
+// Shake reads as worse than nothing happening
+const shaky = chooseSegment(frames(t => (inRange(t, 10, 16) ? { ydif: 60 } : {})), { duration: 6 });
+assert.ok(shaky.start + 6 <= 10 || shaky.start >= 16, `shaky start ${shaky.start}`);
+checks++;
+
+// The thumbnail is the best-exposed steady frame
+const exposure = chooseSegment(frames(t => ({ yavg: t === 12 ? 110 : 40 })), { duration: 6 });
+assert.strictEqual(exposure.thumbnail, 12);
+checks++;
+
+// Creator overrides win, clamped to the source
+const pinned = chooseSegment(frames(() => ({})), {
+  duration: 6, event: { preview_start_override: 100, preview_thumb_override: '3' }
+});
+assert.deepStrictEqual([pinned.start, pinned.thumbnail, pinned.source], [14, 3, 'creator']);
+const junk = chooseSegment(frames(() => ({})), { duration: 6, event: { preview_start_override: 'soon', preview_thumb_override: '' } });
+assert.strictEqual(junk.source, 'auto');
+assert.strictEqual(chooseSegment(frames(() => ({})), { duration: 6, event: { preview_start_override: -5 } }).start, 0);
+checks += 3;
+
+// Window never runs past the end of a short source
+const short = chooseSegment(frames(() => ({})).slice(0, 12), { duration: 6, sourceDuration: 3 });
+assert.deepStrictEqual([short.start, short.duration], [0, 3]);
+checks++;
+
+/* ---------- parseFrameReport ---------- */
+const REPORT = [
+  'frame:0    pts:0       pts_time:0',
+  'lavfi.scene_score=0.000000',
+  'lavfi.signalstats.YAVG=16.2',
+  'lavfi.black_start=0',
+  'frame:1    pts:1       pts_time:0.25',
+  'lavfi.signalstats.YDIF=4.5',
+  'frame:2    pts:2       pts_time:0.5',
+  'lavfi.black_end=0.5',
+  'lavfi.scene_score=0.61'
+].join('\n');
+const parsed = parseFrameReport(REPORT);
+assert.deepStrictEqual(parsed.map(f => f.black), [true, true, false]);
+assert.deepStrictEqual([parsed[0].yavg, parsed[1].ydif, parsed[2].scene], [16.2, 4.5, 0.61]);
+assert.deepStrictEqual(parseFrameReport(''), []);
+checks += 3;
+
+/* ---------- analysisArgs ---------- */
+// Split on separators outside quotes and escapes, the way ffmpeg does
+function splitUnescaped(s, sep) {
+  const out = [''];
+  let quoted = false;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\') out[out.length - 1] += s[i] + s[++i];
+    else if (s[i] === "'") { quoted = !quoted; out[out.length - 1] += s[i]; }
+    else if (!quoted && sep.includes(s[i])) out.push('');
+    else out[out.length - 1] += s[i];
+  }
+  return out;
+}
+const unescape = s => s.replace(/\\(.)/g, '$1');
+
+for (const reportPath of [
+  '/tmp/prev-abc/analysis.txt',
+  "/tmp/prev-x,drawtext=text='hi':file=/etc/passwd[out];[in]null/analysis.txt",
+  '/tmp/a\\b:c/analysis.txt'
+]) {
+  const args = analysisArgs('/tmp/src.mp4', reportPath);
+  const graph = args[args.indexOf('-vf') + 1];
+  const filters = splitUnescaped(graph, ',;');
+  assert.strictEqual(filters.length, 6, `one filter chain for ${reportPath}`);
+  const options = splitUnescaped(unescape(filters[5]), ':');
+  assert.deepStrictEqual(options.map(unescape), ['metadata=mode=print', `file=${reportPath}`], reportPath);
+  checks++;
+}
+
+console.log(`✅ ${checks} preview segment checks passed`);
@@ -0,0 +1,130 @@
+/**
+ * test-preview-state.js
+ *
+ * Who gets to render an event's preview: claimPreview against the states an
+ * event can be in, including stale claims left by a dead instance and the
+ * retry queue's narrower claim. Runs offline against an in-memory stand-in
+ * for the Firestore transaction.
+ *
+ * Usage:
+ *   node test-preview-state.js
+ */
+
+const assert = require('assert');
+const admin  = require('firebase-admin');
+const {
+  PREVIEW_STATUS, STALE_CLAIM_MS, previewSourceKey, isStaleClaim, claimPreview
+} = require('./shared/previewState');
+
+const PROFILE    = { name: 'default', version: 4 };
+const profileFor = () => PROFILE;
+const VIDEO      = 'https://firebasestorage.googleapis.com/v0/b/ville/o/uploads%2Fe1.mp4?alt=media';
+const at         = msAgo => ({ toMillis: () => Date.now() - msAgo });
+
+const SERVER_TIMESTAMP = admin.firestore.FieldValue.serverTimestamp();
+const DELETE           = admin.firestore.FieldValue.delete();
+
+// One event doc behind a transaction that applies updates the way Firestore would
+function fakeDb(data) {
+  const doc = { data: data && { ...data }, updates: 0 };
+  const ref = { id: 'e1' };
+  const db  = {
+    runTransaction: async fn => fn({
+      get   : async () => ({ exists: Boolean(doc.data), data: () => ({ ...doc.data }) }),
+      update: (_, fields) => {
+        doc.updates++;
+        for (const [k, v] of Object.entries(fields)) {
+          if (v === DELETE) delete doc.data[k];
+          else doc.data[k] = v?.at?.isEqual?.(SERVER_TIMESTAMP) ? { ...v, at: at(0) } : v;
+        }
+      }
+    })
+  };
+  return { db, ref, doc };
+}
+
+const KEY  = previewSourceKey({ event_video: VIDEO }, PROFILE);
+const base = { event_title: 'Fiesta', event_video: VIDEO };
+
+let checks = 0;
+
+(async () => {
+  /* ---------- Trigger claims ---------- */
+  const CASES = [
+    // [ label, event, claimed?, attempt ]
+    ['new event',            { ...base }, true, 1],
+    ['pending',              { ...base, preview_status: PREVIEW_STATUS.PENDING, preview_generation: 4 }, true, 1],
+    ['no video',             { event_title: 'Fiesta' }, false],
+    ['fresh claim',          { ...base, preview_status: PREVIEW_STATUS.PROCESSING, preview_claim: { id: 'c1', key: KEY, at: at(60 * 1000) } }, false],
+    ['stale claim, same key',{ ...base, preview_status: PREVIEW_STATUS.PROCESSING, preview_attempts: 1,
+      preview_claim: { id: 'c1', key: KEY, at: at(STALE_CLAIM_MS + 1000) } }, true, 2],
+    ['stale claim, new video',{ ...base, preview_status: PREVIEW_STATUS.PROCESSING, preview_attempts: 2,
+      preview_claim: { id: 'c1', key: 'old', at: at(STALE_CLAIM_MS + 1000) } }, true, 1],
+    ['ready, up to date',    { ...base, preview_status: PREVIEW_STATUS.READY, preview_source_key: KEY,
+      event_preview_vid: 'v', event_preview_image: 'i' }, false],
+    ['ready, new video',     { ...base, preview_status: PREVIEW_STATUS.READY, preview_source_key: 'old',
+      event_preview_vid: 'v', event_preview_image: 'i' }, true, 1],
+    ['ready, new upload',    { ...base, preview_status: PREVIEW_STATUS.READY, preview_source_key: KEY,
+      preview_source_generation: '1', event_video_generation: '2', event_preview_vid: 'v', event_preview_image: 'i' }, true, 1],
+    ['failed, same source',  { ...base, preview_status: PREVIEW_STATUS.FAILED, preview_source_key: KEY, preview_attempts: 2 }, false],
+    ['failed, new video',    { ...base, preview_status: PREVIEW_STATUS.FAILED, preview_source_key: 'old', preview_attempts: 3 }, true, 1]
+  ];
+  for (const [label, event, claimed, attempt] of CASES) {
+    const { db, ref, doc } = fakeDb(event);
+    const claim = await claimPreview(db, ref, profileFor);
+    assert.strictEqual(Boolean(claim), claimed, `${label}: claimed`);
+    if (claimed) {
+      assert.strictEqual(claim.key, KEY, `${label}: key`);
+      assert.strictEqual(claim.attempt, attempt, `${label}: attempt`);
+      assert.strictEqual(claim.generation, (event.preview_generation || 0) + 1, `${label}: generation`);
+      assert.strictEqual(doc.data.preview_status, PREVIEW_STATUS.PROCESSING, `${label}: status`);
+      assert.strictEqual(doc.data.preview_claim.id, claim.id, `${label}: stored claim`);
+      assert.strictEqual(doc.data.preview_attempts, attempt, `${label}: stored attempts`);
+    } else {
+      assert.strictEqual(doc.updates, 0, `${label}: no write`);
+    }
+    checks++;
+  }
+
+  const missing = fakeDb(null);
+  assert.strictEqual(await claimPreview(missing.db, missing.ref, profileFor), null);
+  checks++;
+
+  // Two claims in a row: the second finds the first one's fresh claim
+  const race = fakeDb({ ...base });
+  const first  = await claimPreview(race.db, race.ref, profileFor);
+  const second = await claimPreview(race.db, race.ref, profileFor);
+  assert.ok(first && !second);
+  checks++;
+
+  /* ---------- Retry queue claims ---------- */
+  const failed = { ...base, preview_status: PREVIEW_STATUS.FAILED, preview_source_key: KEY, preview_attempts: 1 };
+  const RETRIES = [
+    ['failed, current key',  failed, KEY, true],
+    ['failed, old key',      failed, 'old', false],
+    ['source moved on',      { ...failed, event_video: `${VIDEO}&v=2` }, KEY, false],
+    ['already re-rendered',  { ...failed, preview_status: PREVIEW_STATUS.READY }, KEY, false],
+    ['claimed meanwhile',    { ...failed, preview_status: PREVIEW_STATUS.PROCESSING, preview_claim: { id: 'c2', key: KEY, at: at(0) } }, KEY, false],
+    ['upload replaced',      { ...failed, preview_source_generation: '1', event_video_generation: '2' }, KEY, false]
+  ];
+  for (const [label, event, retryKey, claimed] of RETRIES) {
+    const { db, ref } = fakeDb(event);
+    const claim = await claimPreview(db, ref, profileFor, { retryKey });
+    assert.strictEqual(Boolean(claim), claimed, `retry: ${label}`);
+    if (claimed) assert.strictEqual(claim.attempt, 2, `retry: ${label}: attempt`);
+    checks++;
+  }
+
+  /* ---------- Stale claims ---------- */
+  const processing = msAgo => ({ preview_status: PREVIEW_STATUS.PROCESSING, preview_claim: { id: 'c1', at: at(msAgo) } });
+  assert.strictEqual(isStaleClaim(processing(60 * 1000)), false);
+  assert.strictEqual(isStaleClaim(processing(STALE_CLAIM_MS + 1000)), true);
+  assert.strictEqual(isStaleClaim({ preview_status: PREVIEW_STATUS.PROCESSING }), true);     // no timestamp
+  assert.strictEqual(isStaleClaim({ ...processing(STALE_CLAIM_MS + 1000), preview_status: PREVIEW_STATUS.READY }), false);
+  checks += 4;
+
+  console.log(`✅ ${checks} preview state checks passed`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
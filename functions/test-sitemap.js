@@ -0,0 +1,116 @@
+/**
+ * test-sitemap.js
+ *
+ * Month sharding of the event sitemap: which shards exist, which events land
+ * in them, and that a shard pages through Firestore reading only the fields
+ * it needs. Runs offline against an in-memory stand-in for the events query.
+ *
+ * Usage:
+ *   node test-sitemap.js
+ */
+
+const assert = require('assert');
+const {
+  MAX_URLS, PAGE_SIZE, sitemapMonths, shardMonth, renderSitemapIndex, eventEntry, eventShard
+} = require('./shared/sitemap');
+
+const NOW  = new Date('2026-03-15T12:00:00Z');
+const ts   = iso => ({ toDate: () => new Date(iso) });
+const snap = (id, d) => ({ id, data: () => d });
+
+let checks = 0;
+
+/* ---------- Shards in the window ---------- */
+const months = sitemapMonths(NOW);
+assert.strictEqual(months[0], '2026-02');                  // 30 days back
+assert.strictEqual(months[months.length - 1], '2027-03');  // 12 months ahead
+assert.strictEqual(months.length, 14);
+assert.deepStrictEqual(sitemapMonths(new Date('2026-12-20T00:00:00Z')).slice(0, 2), ['2026-11', '2026-12']);
+checks += 4;
+
+const SHARDS = [
+  ['events-2026-03.xml', '2026-03'],
+  ['events-2026-02.xml', '2026-02'],
+  ['events-2026-01.xml', ''],          // aged out
+  ['events-2027-04.xml', ''],          // too far ahead
+  ['events-2026-3.xml',  ''],
+  ['events-2026-03.xml.gz', ''],
+  ['../events-2026-03.xml', ''],
+  ['', '']
+];
+for (const [file, want] of SHARDS) {
+  assert.strictEqual(shardMonth(file, NOW), want, `shardMonth(${file})`);
+  checks++;
+}
+
+const index = renderSitemapIndex(months);
+assert.strictEqual((index.match(/<sitemap>/g) || []).length, months.length);
+assert.ok(index.includes('<loc>https://ville.social/sitemaps/events-2026-03.xml</loc>'));
+checks += 2;
+
+/* ---------- Entries ---------- */
+const ENTRIES = [
+  ['listed',        { eventID: 'e1', start_date: ts('2026-03-20T20:00:00Z') }, true],
+  ['no eventID',    { start_date: ts('2026-03-20T20:00:00Z') }, true],      // doc ID
+  ['deleted',       { eventID: 'e2', start_date: ts('2026-03-20T20:00:00Z'), deleted: true }, false],
+  ['ended long ago',{ eventID: 'e3', start_date: ts('2026-01-01T20:00:00Z') }, false],
+  ['long-running',  { eventID: 'e4', start_date: ts('2026-01-01T20:00:00Z'), end_date: ts('2026-04-01T00:00:00Z') }, true],
+  ['no dates',      { eventID: 'e5' }, false]
+];
+for (const [label, d, listed] of ENTRIES) {
+  assert.strictEqual(Boolean(eventEntry(snap('doc', d), NOW)), listed, `eventEntry: ${label}`);
+  checks++;
+}
+
+const withVideo = eventEntry(snap('doc', {
+  eventID: 'a b', start_date: ts('2026-03-20T20:00:00Z'),
+  event_preview_vid: 'https://cdn.test/v.mp4', event_preview_image: 'https://cdn.test/i.jpg'
+}), NOW);
+assert.strictEqual(withVideo.loc, 'https://ville.social/event/a%20b');
+assert.strictEqual(withVideo.videos[0].playerLoc, 'https://ville.social/embed/event/a%20b');
+checks += 2;
+
+/* ---------- Paged shard query ---------- */
+function fakeDb(total) {
+  const docs = Array.from({ length: total }, (_, i) =>
+    snap(`d${i}`, { eventID: `e${i}`, start_date: ts('2026-03-20T20:00:00Z') }));
+  const log = { pages: 0, selected: null, maxLimit: 0 };
+  const query = (from = 0) => ({
+    where  : () => query(from),
+    orderBy: () => query(from),
+    select : (...fields) => { log.selected = fields; return query(from); },
+    startAfter: last => query(docs.indexOf(last) + 1),
+    limit  : n => ({
+      get: async () => {
+        log.pages++;
+        log.maxLimit = Math.max(log.maxLimit, n);
+        const page = docs.slice(from, from + n);
+        return { docs: page, size: page.length };
+      }
+    })
+  });
+  return { db: { collection: () => query() }, log };
+}
+
+(async () => {
+  for (const total of [0, 5, PAGE_SIZE, PAGE_SIZE * 2 + 3]) {
+    const { db, log } = fakeDb(total);
+    const xml = await eventShard(db, '2026-03', NOW);
+    assert.strictEqual((xml.match(/<url>/g) || []).length, total, `shard of ${total}: url count`);
+    assert.ok(log.maxLimit <= PAGE_SIZE, `shard of ${total}: page too large`);
+    assert.strictEqual(log.pages, Math.floor(total / PAGE_SIZE) + 1, `shard of ${total}: pages`);
+    assert.ok(log.selected?.includes('start_date') && !log.selected.includes('event_video'), 'shard select()');
+    checks++;
+  }
+
+  // The protocol cap holds however many events the month has
+  const { db } = fakeDb(MAX_URLS + PAGE_SIZE);
+  const xml = await eventShard(db, '2026-03', NOW);
+  assert.strictEqual((xml.match(/<url>/g) || []).length, MAX_URLS);
+  checks++;
+
+  console.log(`✅ ${checks} sitemap checks passed`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});